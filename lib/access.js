@@ -0,0 +1,103 @@
+'use strict';
+
+const Utils = require('./utils');
+
+
+const internals = {
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    w3cFields: ['date', 'time', 'c-ip', 'cs-method', 'cs-uri-stem', 'cs-uri-query', 'sc-status', 'sc-bytes', 'time-taken', 'cs(User-Agent)', 'cs(Referer)']
+};
+
+
+exports.formats = ['common', 'combined', 'w3c'];
+
+
+exports.header = function (format) {
+
+    if (format === 'w3c') {
+        return `#Version: 1.0\n#Fields: ${internals.w3cFields.join(' ')}\n`;
+    }
+
+    return '';
+};
+
+
+exports.line = function (format, request, { req, res }) {
+
+    const headers = request.headers;
+
+    if (format === 'w3c') {
+        const received = new Date(request.info.received).toISOString();
+        const [stem, query] = Utils.splitPath(req.path);
+
+        return [
+            received.slice(0, 10),
+            received.slice(11, 19),
+            internals.w3c(req.clientIp),
+            internals.w3c(req.method.toUpperCase()),
+            internals.w3c(stem),
+            internals.w3c(query),
+            internals.w3c(res.statusCode),
+            res.bytes ?? '-',
+            res.delay !== undefined ? (res.delay / 1000).toFixed(3) : '-',
+            internals.w3c(headers['user-agent']),
+            internals.w3c(headers.referer)
+        ].join(' ') + '\n';
+    }
+
+    // Common Log Format, optionally extended to the Combined Log Format
+
+    let line = [
+        req.clientIp || '-',
+        '-',
+        '-',
+        `[${internals.clfDate(request.info.received)}]`,
+        `"${internals.escape(`${req.method.toUpperCase()} ${req.path} HTTP/${request.raw.req.httpVersion}`)}"`,
+        res.statusCode ?? '-',
+        res.bytes || '-'
+    ].join(' ');
+
+    if (format === 'combined') {
+        line += ` "${internals.escape(headers.referer ?? '-')}" "${internals.escape(headers['user-agent'] ?? '-')}"`;
+    }
+
+    return line + '\n';
+};
+
+
+internals.clfDate = function (time) {
+
+    // Apache style timestamp, eg. "10/Oct/2000:13:55:36 +0000"
+
+    const date = new Date(time);
+    const pad = (value) => value.toString().padStart(2, '0');
+
+    return `${pad(date.getUTCDate())}/${internals.months[date.getUTCMonth()]}/${date.getUTCFullYear()}:${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+};
+
+
+internals.escape = function (value) {
+
+    // Escape quotes, backslashes, and non-printable characters like Apache does
+
+    return value.replace(/["\\]|[^\x20-\x7e]/gu, (char) => {
+
+        if (char === '"' || char === '\\') {
+            return `\\${char}`;
+        }
+
+        return Buffer.from(char).toString('hex').replace(/../g, '\\x$&');
+    });
+};
+
+
+internals.w3c = function (value) {
+
+    if (value === undefined || value === null || value === '') {
+        return '-';
+    }
+
+    // Fields are space separated, so spaces are replaced with "+"
+
+    return internals.escape(`${value}`).replace(/ /g, '+');
+};
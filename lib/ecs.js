@@ -0,0 +1,122 @@
+'use strict';
+
+const Os = require('os');
+
+const Utils = require('./utils');
+
+
+const internals = {
+    version: '8.11.0'
+};
+
+
+exports.resource = function (name) {
+
+    return {
+        service: name ? { name } : undefined,
+        host: { hostname: Os.hostname() },
+        process: { pid: process.pid }
+    };
+};
+
+
+exports.entry = function (entry, { labels, messageKey, resource }) {
+
+    const { level, time, [messageKey]: message, req, res, route, err, request, tags, trace_id, span_id, ...fields } = entry;
+
+    const record = {
+        '@timestamp': Utils.isoTime(time),
+        'log.level': labels[level] ?? level,
+        message,
+        'ecs.version': internals.version,
+        ...resource
+    };
+
+    const set = internals.set.bind(null, record);
+    const custom = {};
+
+    set('http.request.id', request);
+    set('trace.id', trace_id);
+    set('span.id', span_id);
+    set('tags', tags);
+
+    if (req) {
+        const { id, method, path, clientIp, bytes, auth, trace_id: traceId, span_id: spanId, ...other } = req;
+        const [urlPath, query] = Utils.splitPath(path);
+
+        set('http.request.id', id);
+        set('http.request.method', method?.toUpperCase());
+        set('http.request.body.bytes', bytes);
+        set('url.original', path);
+        set('url.path', urlPath);
+        set('url.query', query);
+        set('client.ip', clientIp);
+        set('trace.id', traceId);
+        set('span.id', spanId);
+
+        if (auth) {
+            const { credentials, ...authInfo } = auth;
+            set('user.id', internals.userId(credentials));
+            other.auth = authInfo;
+        }
+
+        custom.req = other;
+    }
+
+    if (res) {
+        const { statusCode, bytes, delay, ...other } = res;
+
+        set('http.response.status_code', statusCode);
+        set('http.response.body.bytes', bytes);
+        set('event.duration', delay !== undefined ? delay * 1e6 : undefined);
+
+        custom.res = other;
+    }
+
+    if (err) {
+        const { type, message: errorMessage, stack, ...other } = err;
+
+        set('error.type', type);
+        set('error.message', errorMessage);
+        set('error.stack_trace', stack);
+
+        custom.err = other;
+    }
+
+    // Remaining properties are kept in a custom field set
+
+    Object.assign(custom, { route, ...fields });
+    for (const key in custom) {
+        const value = custom[key];
+        if (value !== undefined &&
+            (typeof value !== 'object' || value === null || Object.keys(value).length)) {
+
+            set(`nipo.${key}`, value);
+        }
+    }
+
+    return record;
+};
+
+
+internals.set = function (obj, path, value) {
+
+    if (value === undefined) {
+        return;
+    }
+
+    const keys = path.split('.');
+    const last = keys.pop();
+    for (const key of keys) {
+        obj = obj[key] ??= {};
+    }
+
+    obj[last] = value;
+};
+
+
+internals.userId = function (credentials) {
+
+    const id = credentials?.user?.id ?? credentials?.id;
+    return id !== undefined && id !== null ? `${id}` : undefined;
+};
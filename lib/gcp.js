@@ -0,0 +1,95 @@
+'use strict';
+
+const Utils = require('./utils');
+
+
+const internals = {
+    severity: {
+        trace: 'DEBUG',
+        debug: 'DEBUG',
+        info: 'INFO',
+        warn: 'WARNING',
+        error: 'ERROR',
+        fatal: 'CRITICAL'
+    },
+    errorEvent: 'type.googleapis.com/google.devtools.clouderrorreporting.v1beta1.ReportedErrorEvent',
+    reserved: ['severity', 'message'],
+    reported: new Set(['request-error', 'nipo-error'])
+};
+
+
+// Extra request properties included in response entries
+
+exports.req = new Map([['userAgent', ['headers', 'user-agent']]]);
+
+
+exports.resource = function (name, { projectId = process.env.GOOGLE_CLOUD_PROJECT }) {
+
+    return {
+        projectId,
+        serviceContext: name ? { service: name } : undefined
+    };
+};
+
+
+exports.entry = function (entry, { labels, messageKey, resource }) {
+
+    const { level, time, [messageKey]: message, ...fields } = entry;
+
+    // Fields that clash with entry properties are kept in a custom field set
+
+    const custom = {};
+    for (const key of internals.reserved) {
+        if (key in fields) {
+            custom[key] = fields[key];
+            delete fields[key];
+        }
+    }
+
+    const label = labels[level];
+    const record = {
+        severity: internals.severity[label] ?? 'DEFAULT',
+        time: Utils.isoTime(time),
+        message,
+        ...fields,
+        nipo: Object.keys(custom).length ? custom : undefined
+    };
+
+    if (fields.req &&
+        fields.res?.statusCode) {
+
+        const { req, res } = fields;
+        const { userAgent, ...other } = req;
+
+        record.req = other;
+        record.httpRequest = {
+            requestMethod: req.method.toUpperCase(),
+            requestUrl: req.path,
+            requestSize: req.bytes !== undefined ? `${req.bytes}` : undefined,
+            status: res.statusCode,
+            responseSize: res.bytes !== undefined ? `${res.bytes}` : undefined,
+            userAgent,
+            remoteIp: req.clientIp,
+            latency: res.delay !== undefined ? `${res.delay / 1000}s` : undefined
+        };
+    }
+
+    // Trace correlation
+
+    const trace = fields.req ?? fields;
+    if (trace.trace_id) {
+        record['logging.googleapis.com/trace'] = resource.projectId ? `projects/${resource.projectId}/traces/${trace.trace_id}` : trace.trace_id;
+        record['logging.googleapis.com/spanId'] = trace.span_id;
+        record['logging.googleapis.com/trace_sampled'] = (parseInt(trace.trace_flags, 16) & 1) === 1;
+    }
+
+    // Report errors to Error Reporting
+
+    if (internals.reported.has(message)) {
+        record['@type'] = internals.errorEvent;
+        record.stack_trace = fields.err?.stack ?? fields.stack;
+        record.serviceContext = resource.serviceContext;
+    }
+
+    return record;
+};
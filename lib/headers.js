@@ -0,0 +1,67 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+
+const internals = {
+    censor: '[Redacted]'
+};
+
+
+exports.matcher = function (patterns = []) {
+
+    if (!patterns.length) {
+        return null;
+    }
+
+    const source = patterns.map((pattern) => pattern.split('*').map(Hoek.escapeRegex).join('.*')).join('|');
+    return new RegExp(`^(?:${source})$`, 'i');
+};
+
+
+internals.redact = exports.matcher(['authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+
+
+internals.filter = function (filter) {
+
+    if (!filter) {
+        return undefined;
+    }
+
+    const { allow, deny } = Array.isArray(filter) ? { allow: filter } : filter;
+
+    return {
+        allow: exports.matcher(allow),
+        deny: exports.matcher(deny)
+    };
+};
+
+
+exports.compile = function (config) {
+
+    return {
+        req: internals.filter(config.req),
+        res: internals.filter(config.res),
+        redact: exports.matcher(config.redact)
+    };
+};
+
+
+exports.capture = function (headers, filter, redact) {
+
+    let captured;
+
+    for (const name in headers) {
+        if (filter.allow?.test(name) &&
+            !filter.deny?.test(name)) {
+
+            const key = name.toLowerCase();
+            const censor = internals.redact.test(key) || redact.some((matcher) => matcher?.test(key));
+
+            captured ??= {};
+            captured[key] = censor ? internals.censor : headers[name];
+        }
+    }
+
+    return captured;
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+
+
+const internals = {
+    resolution: 10
+};
+
+
+exports.create = function () {
+
+    return {
+        histogram: monitorEventLoopDelay({ resolution: internals.resolution }),
+        utilization: null,
+        timer: null
+    };
+};
+
+
+exports.start = function (monitor) {
+
+    monitor.histogram.reset();
+    monitor.histogram.enable();
+    monitor.utilization = performance.eventLoopUtilization();
+};
+
+
+exports.stop = function (monitor) {
+
+    monitor.histogram.disable();
+};
+
+
+exports.sample = function (monitor) {
+
+    const { histogram } = monitor;
+    const utilization = performance.eventLoopUtilization(monitor.utilization);
+    const memory = process.memoryUsage();
+
+    const sample = {
+        eventLoop: {
+            delay: histogram.count ? {
+                min: internals.ms(histogram.min),
+                p50: internals.ms(histogram.percentile(50)),
+                p90: internals.ms(histogram.percentile(90)),
+                p99: internals.ms(histogram.percentile(99)),
+                max: internals.ms(histogram.max)
+            } : undefined,
+            utilization: Math.round(utilization.utilization * 1000) / 1000
+        },
+        memory: {
+            rss: memory.rss,
+            heapTotal: memory.heapTotal,
+            heapUsed: memory.heapUsed,
+            external: memory.external
+        },
+        handles: process.getActiveResourcesInfo().length
+    };
+
+    histogram.reset();
+    monitor.utilization = performance.eventLoopUtilization();
+
+    return sample;
+};
+
+
+exports.exceeded = function (sample, thresholds = {}) {
+
+    const values = {
+        eventLoopDelay: sample.eventLoop.delay?.p99,
+        eventLoopUtilization: sample.eventLoop.utilization,
+        heapUsed: sample.memory.heapUsed,
+        rss: sample.memory.rss,
+        handles: sample.handles
+    };
+
+    const exceeded = Object.keys(thresholds).filter((key) => values[key] >= thresholds[key]);
+    return exceeded.length ? exceeded : undefined;
+};
+
+
+internals.ms = function (ns) {
+
+    // Histogram values are in nanoseconds
+
+    return Math.round(ns / 1e3) / 1e3;
+};
@@ -2,11 +2,95 @@
 
 import { Stream } from 'node:stream';
 
-import { Plugin, Request } from '@hapi/hapi';
+import { Plugin, ReqRef, ReqRefDefaults, Request } from '@hapi/hapi';
 import { Logger, LoggerOptions, Level } from 'pino';
 
+/**
+ * Map of status codes, status classes (`'4xx'`), ranges (`'500-503'`) or `'default'` to log levels.
+ */
+type StatusLevelMapping = { [statusCode: string]: Level };
+
+/**
+ * Header name patterns. Matching is case-insensitive, and `*` matches any sequence of characters.
+ */
+type HeaderPatterns = string | string[];
+
+/**
+ * Header capture filter, either as allowed patterns, or as an object with `allow` and `deny` patterns.
+ */
+type HeaderFilter = HeaderPatterns | {
+
+    /**
+     * Patterns of headers to capture.
+     *
+     * @default '*'
+     */
+    allow?: HeaderPatterns;
+
+    /**
+     * Patterns of headers to never capture.
+     */
+    deny?: HeaderPatterns;
+};
+
+interface HeaderCaptureOptions {
+
+    /**
+     * Request headers to capture as `req.headers`.
+     */
+    req?: HeaderFilter;
+
+    /**
+     * Response headers to capture as `res.headers`.
+     */
+    res?: HeaderFilter;
+
+    /**
+     * Patterns of additional headers with censored values.
+     *
+     * The `authorization`, `proxy-authorization`, `cookie` and `set-cookie` headers are always censored.
+     */
+    redact?: HeaderPatterns;
+}
+
+interface PayloadCaptureOptions {
+
+    /**
+     * Capture the request payload as `req.payload`.
+     */
+    req?: boolean;
+
+    /**
+     * Capture the response payload as `res.payload`, before any compression.
+     */
+    res?: boolean;
+
+    /**
+     * Maximum number of payload bytes to capture. Larger payloads are truncated with a `[Truncated: <n> bytes]` marker.
+     */
+    maxBytes?: number;
+
+    /**
+     * JSON paths of properties to censor in captured JSON payloads, eg. `'password'` or `'$.users[*].token'`.
+     */
+    redact?: string | string[];
+}
+
 type AllowedPinoOptions = 'name' | 'level' | 'redact' | 'formatters' | 'enabled' | 'crlf' | 'timestamp' | 'messageKey' | 'transport';
 
+interface NipoLoggerOptions {
+
+    /**
+     * Output stream for this logger, instead of the shared `stream` option.
+     */
+    stream?: Stream;
+
+    /**
+     * Pino logger options for this logger, merged over the shared `pino` options.
+     */
+    pino?: Pick<LoggerOptions, AllowedPinoOptions>;
+}
+
 export interface NipoRegistrationOptions {
 
     /**
@@ -25,6 +109,333 @@ export interface NipoRegistrationOptions {
      */
     tagLevels?: { [key: string]: Level };
 
+    /**
+     * Custom status code level mapping for response entries.
+     *
+     * Each key is an exact status code (`'404'`), a status class (`'4xx'`), an inclusive range (`'500-503'`),
+     * or `'default'`. The most specific match is used, falling back to the built-in mapping of
+     * `{ default: 'info', '4xx': 'warn', '5xx': 'error' }`.
+     */
+    statusLevels?: StatusLevelMapping;
+
+    /**
+     * Slow request threshold in milliseconds.
+     *
+     * Requests that are still in flight when crossing the threshold are reported with a `request-slow` event entry,
+     * which includes the current lifecycle phase. Response entries with a `delay` of at least the threshold are
+     * logged with a minimum level of `warn`.
+     */
+    slowThreshold?: number;
+
+    /**
+     * Capture request and response headers in response entries.
+     *
+     * Can be overridden per route using the `headers` route config.
+     */
+    headers?: HeaderCaptureOptions;
+
+    /**
+     * Capture request and response payloads in response entries.
+     *
+     * Only JSON and text payloads are captured. JSON payloads are logged as parsed values, when not truncated.
+     * Can be overridden per route using the `payload` route config.
+     *
+     * @default { req: false, res: false, maxBytes: 1024, redact: [] }
+     */
+    payload?: PayloadCaptureOptions;
+
+    /**
+     * Include a lifecycle phase timing breakdown as `res.timings` in response entries.
+     *
+     * Can be overridden per route using the `timings` route config.
+     *
+     * @default false
+     */
+    timings?: boolean;
+
+    /**
+     * Output format.
+     *
+     * - `'json'` - pino JSON entries.
+     * - `'otel'` - All entries, including events, are mapped to the OpenTelemetry log data model, with HTTP semantic
+     *   convention attribute names. Serialized entries are re-mapped before writing, which adds overhead.
+     * - `'ecs'` - All entries are mapped to the Elastic Common Schema. Properties without an ECS equivalent are
+     *   kept in the `nipo` field set. Like `'otel'`, this re-maps serialized entries.
+     * - `'gcp'` - Google Cloud Logging structured entries, with `severity`, an `httpRequest` object for response
+     *   entries, trace correlation, and Error Reporting markers on `request-error` and `nipo-error` entries. Entry
+     *   fields named `message` or `severity` are moved to a `nipo` object.
+     * - `'common'` - Common Log Format lines for response entries.
+     * - `'combined'` - Combined Log Format lines, which adds the referer and user agent.
+     * - `'w3c'` - W3C Extended Log Format lines, preceded by `#Version` and `#Fields` directives.
+     *
+     * Access log lines are only written when the entry level is enabled, and are written to the response logger
+     * destination, including any `transport`, using `crlf` line endings when enabled. Event entries remain JSON,
+     * and `traffic-summary` entries are logged using the event logger when an access log format is used.
+     *
+     * @default 'json'
+     */
+    format?: 'json' | 'ecs' | 'gcp' | 'otel' | 'common' | 'combined' | 'w3c';
+
+    /**
+     * Google Cloud project id, used for trace correlation with the `'gcp'` format.
+     *
+     * @default process.env.GOOGLE_CLOUD_PROJECT
+     */
+    projectId?: string;
+
+    /**
+     * Periodically log a `traffic-summary` entry with per route request counts by status class,
+     * latency percentiles, and byte totals.
+     *
+     * The summary includes all responses, regardless of sampling and response logging policies.
+     * Any remaining traffic is summarized when the server is stopped.
+     */
+    summary?: {
+
+        /**
+         * Summary interval in milliseconds.
+         *
+         * @default 60000
+         */
+        interval?: number;
+    };
+
+    /**
+     * Periodically log a `process-health` event entry with event loop delay percentiles (in milliseconds),
+     * event loop utilization, memory usage, and the number of active handles, while the server is started.
+     *
+     * Entries are logged at `warn` level when a threshold is reached, with the names of the crossed
+     * thresholds in the `exceeded` property.
+     */
+    health?: {
+
+        /**
+         * Monitoring interval in milliseconds.
+         *
+         * @default 10000
+         */
+        interval?: number;
+
+        /**
+         * Warning thresholds.
+         */
+        thresholds?: {
+
+            /**
+             * 99th percentile event loop delay in milliseconds.
+             */
+            eventLoopDelay?: number;
+
+            /**
+             * Event loop utilization, between `0` and `1`.
+             */
+            eventLoopUtilization?: number;
+
+            /**
+             * Used heap size in bytes.
+             */
+            heapUsed?: number;
+
+            /**
+             * Resident set size in bytes.
+             */
+            rss?: number;
+
+            /**
+             * Number of active handles and requests.
+             */
+            handles?: number;
+        };
+    };
+
+    /**
+     * Error serialization.
+     */
+    errors?: {
+
+        /**
+         * Serialize the cause chain as an `err.causes` array, and the members of an `AggregateError` as an `err.errors` array,
+         * instead of concatenating cause messages and stacks into the `message` and `stack` properties.
+         *
+         * @default false
+         */
+        structured?: boolean;
+
+        /**
+         * Maximum number of serialized causes, and maximum nesting of `AggregateError` members, when `structured` is enabled.
+         *
+         * @default 10
+         */
+        maxDepth?: number;
+
+        /**
+         * Maximum number of stack frames retained for each serialized error and cause. Remaining frames are
+         * replaced with a `… N frames omitted` marker.
+         *
+         * @default unlimited
+         */
+        maxFrames?: number;
+
+        /**
+         * Collapse runs of consecutive `node_modules` and node internal stack frames into a `… N frames omitted` marker.
+         *
+         * @default false
+         */
+        collapse?: boolean;
+
+        /**
+         * Serialize `stack` as an array of `{ fn, file, line, column }` frame objects, instead of a string.
+         * Omitted frames are represented as `{ omitted: N }` entries, and unstructured causes as `{ cause }` entries.
+         *
+         * @default false
+         */
+        parseStack?: boolean;
+    };
+
+    /**
+     * Limits applied to logged data, like event `data`, auth credentials, custom `req` and `res` properties, and error `data`.
+     *
+     * Truncated values are replaced or marked with a `[Truncated: …]` string. Each limit is unlimited when not set.
+     */
+    limits?: {
+
+        /**
+         * Maximum nesting depth of objects and arrays.
+         */
+        depth?: number;
+
+        /**
+         * Maximum number of keys retained for each object.
+         */
+        keys?: number;
+
+        /**
+         * Maximum number of items retained for each array.
+         */
+        arrayLength?: number;
+
+        /**
+         * Maximum length of strings.
+         */
+        stringLength?: number;
+
+        /**
+         * Maximum total number of characters in strings, keys and primitive values, shared by all limited values in an
+         * entry. Serialized errors logged as `err` have a separate budget.
+         */
+        budget?: number;
+    };
+
+    /**
+     * Custom serialization of application specific types in logged data.
+     *
+     * Values that are an `instanceof` a registered `type` are replaced by the result of `serialize()`, before any built-in
+     * handling of `Map`, `Set`, `Buffer`, typed arrays, `Date`, `RegExp`, functions, symbols, and objects with `toJSON()`.
+     * The first matching entry is used.
+     */
+    types?: {
+
+        /**
+         * The class to match.
+         */
+        type: abstract new (...args: any[]) => unknown;
+
+        /**
+         * Returns the value to log in place of the instance.
+         */
+        serialize: (value: any) => unknown;
+    }[];
+
+    /**
+     * Rate limit repeated error event entries.
+     *
+     * Applies to `request-error` entries, and to `request-app` and `log-app` entries logged at `error` level or above.
+     * Events are considered repeated when they share the entry message, error type, error message (or string data),
+     * and tags. Once the limit is reached within a window, repeated events are dropped, and a `suppressed` entry with
+     * the `count` and the `first` and `last` timestamps of the dropped events is logged when the window ends.
+     */
+    suppress?: {
+
+        /**
+         * Number of repeated events to log within a window.
+         *
+         * @default 10
+         */
+        limit?: number;
+
+        /**
+         * Window length in milliseconds.
+         *
+         * @default 60000
+         */
+        window?: number;
+    };
+
+    /**
+     * Response entry sampling.
+     *
+     * Error (4xx and 5xx), aborted, and slow responses are always logged. Other responses are sampled
+     * deterministically based on the request id.
+     *
+     * When sampling is active, logged entries are stamped with the applied rate as `res.sampleRate`,
+     * which is `1` for entries that are always logged.
+     */
+    sampling?: {
+
+        /**
+         * Fraction of responses to log, between `0` and `1`.
+         *
+         * Can be overridden per route using the `sampleRate` route config.
+         *
+         * @default 1
+         */
+        rate?: number;
+
+        /**
+         * Always log responses with a `delay` of at least this many milliseconds.
+         */
+        threshold?: number;
+    };
+
+    /**
+     * Trace context propagation.
+     *
+     * When a trace context is found, the `trace_id`, `span_id` and `trace_flags` properties are added to
+     * the `req` property of response entries, to request event entries, and to the `request.logger` bindings.
+     */
+    trace?: {
+
+        /**
+         * Parse W3C Trace Context `traceparent` and `tracestate` headers.
+         *
+         * @default true
+         */
+        w3c?: boolean;
+
+        /**
+         * Parse B3 single (`b3`) and multi (`X-B3-*`) headers, when no W3C context is found.
+         *
+         * @default false
+         */
+        b3?: boolean;
+
+        /**
+         * Generate a new trace context when none is supplied.
+         *
+         * @default false
+         */
+        generate?: boolean;
+    };
+
+    /**
+     * Existing pino logger to use, instead of constructing new loggers.
+     *
+     * The response and event loggers are created as children of the logger, with the nipo `err` serializer
+     * merged into its serializers. Only the `pino.level` option of the `response` and `events` options can
+     * be used with a logger, and the `stream` and `pino` options are not allowed. The `format` must be `'json'`.
+     */
+    logger?: Logger;
+
     /**
      * Output stream to write to instead of default stdout and stderr.
      */
@@ -34,6 +445,16 @@ export interface NipoRegistrationOptions {
      * Pino logger options passed to constructor.
      */
     pino?: Pick<LoggerOptions, AllowedPinoOptions>;
+
+    /**
+     * Options specific to the response logger, which defaults to writing to stdout.
+     */
+    response?: NipoLoggerOptions;
+
+    /**
+     * Options specific to the event logger, which defaults to writing to stderr.
+     */
+    events?: NipoLoggerOptions;
 }
 
 export const plugin: Plugin<NipoRegistrationOptions> & {
@@ -68,6 +489,77 @@ export interface NipoPluginSpecificConfiguration {
      * or an array with the chain of property names.
      */
     res: PropertyKeyMapping;
+
+    /**
+     * Capture request and response headers in response entries.
+     *
+     * The `req` and `res` filters replace the corresponding registration filters, while `redact` patterns
+     * are applied in addition to the registration patterns.
+     */
+    headers?: HeaderCaptureOptions;
+
+    /**
+     * Capture request and response payloads in response entries.
+     *
+     * Options override the registration options, while `redact` paths are applied in addition to the registration paths.
+     */
+    payload?: PayloadCaptureOptions;
+
+    /**
+     * Include a lifecycle phase timing breakdown as `res.timings` in response entries.
+     *
+     * Phases are delimited by extensions that nipo adds to the server extension points, and each value is the phase
+     * duration in milliseconds:
+     *  - `onRequest` - onRequest extensions.
+     *  - `routing` - route lookup, cookie parsing and any onPreAuth extensions added before nipo was registered.
+     *  - `auth` - onPreAuth extensions added after nipo was registered, authentication and authorization.
+     *  - `payload` - payload reception and parsing.
+     *  - `validation` - input validation.
+     *  - `preHandlers` - onPreHandler extensions and route prerequisite (`pre`) methods.
+     *  - `handler` - the route handler.
+     *  - `postHandler` - onPostHandler extensions and response validation.
+     *  - `onPreResponse` - onPreResponse extensions and response preparation.
+     *  - `transmission` - writing the response to the client.
+     *
+     * Other extensions are similarly included in the preceding phase when added before nipo was registered.
+     *
+     * Phases that were skipped, eg. due to an early error response, are not included. The `routing` phase is only
+     * delimited once the server has been initialized with timings enabled, either globally or for a route, and is
+     * otherwise included in the `onRequest` phase.
+     *
+     * Defaults to the `timings` registration option.
+     */
+    timings?: boolean;
+
+    /**
+     * Fraction of responses to log, between `0` and `1`.
+     *
+     * Defaults to the `sampling.rate` registration option.
+     */
+    sampleRate?: number;
+
+    /**
+     * Set to `false` to disable response logging for the route. Request event logging is unaffected.
+     */
+    log?: boolean;
+
+    /**
+     * Fixed log level for response entries, instead of deriving it from the status code.
+     */
+    level?: Level;
+
+    /**
+     * Custom status code level mapping for response entries, using the same format as the `statusLevels`
+     * registration option.
+     *
+     * Status codes that are not matched use the registration mapping.
+     */
+    statusLevels?: StatusLevelMapping;
+
+    /**
+     * Custom tag level mapping for request "app" events, extending the `tagLevels` registration option.
+     */
+    tagLevels?: { [key: string]: Level };
 }
 
 // Extend hapi typings
@@ -96,6 +588,16 @@ declare module '@hapi/hapi' {
         }
     }
 
+    interface Request<Refs extends ReqRef = ReqRefDefaults> {
+
+        /**
+         * Pino child logger of the `eventLogger`, bound to the request id. Created on first use.
+         *
+         * The route, as `{ path }`, and the auth strategy are bound once known.
+         */
+        readonly logger: Logger;
+    }
+
     interface PluginSpecificConfiguration {
         nipo: NipoPluginSpecificConfiguration
     }
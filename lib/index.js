@@ -5,19 +5,37 @@ const Joi = require('joi');
 const Pino = require('pino');
 
 const Utils = require('./utils');
+const Access = require('./access');
+const Ecs = require('./ecs');
+const Gcp = require('./gcp');
+const Headers = require('./headers');
+const Health = require('./health');
+const Otel = require('./otel');
+const Payload = require('./payload');
 const Serialize = require('./serialize');
+const Summary = require('./summary');
+const Suppress = require('./suppress');
+const Timings = require('./timings');
+const Trace = require('./trace');
 
 
-const internals = {};
+const internals = {
+    schemas: {
+        ecs: Ecs,
+        gcp: Gcp,
+        otel: Otel
+    }
+};
 
 
-internals.logResponseError = function (logger, response, id) {
+internals.logResponseError = function (logger, request) {
 
-    const { _error: error } = response;
+    const { _error: error } = request.response;
 
-    if (error && response.statusCode !== 500 && logger.isLevelEnabled('trace')) {
+    if (error && request.response.statusCode !== 500 && logger.isLevelEnabled('trace')) {
         logger.trace({
-            request: id,
+            request: request.info.id,
+            ...request.plugins.nipo?.trace,
             tags: ['request', 'response', 'error'],
             err: error
         }, 'request-internal');
@@ -25,13 +43,13 @@ internals.logResponseError = function (logger, response, id) {
 };
 
 
-internals.applyUserProps = function (request, obj, map) {
+internals.applyUserProps = function (request, obj, map, json) {
 
     if (map) {
         for (const [prop, path] of map) {
             const value = Hoek.reach(request, path);
             if (value !== undefined && value !== null) {
-                obj[prop] = Utils.safeJsonObject(value);
+                obj[prop] = Utils.safeJsonObject(value, json);
             }
         }
     }
@@ -42,14 +60,41 @@ internals.onResponseHandler = function (logResponse, request) {
 
     const nipo = request.server.plugins.nipo;
     const { response, info } = request;
+    const state = request.plugins.nipo;
+    const routeSettings = internals.routeSettings(request);
     let logLevel;
 
+    clearTimeout(state?.slowTimer);
+
+    const inflight = nipo._inflight;
+    if (inflight.requests.delete(request) &&
+        inflight.stopping &&
+        !request.raw.res.writableFinished) {
+
+        internals.logInterrupted(nipo.eventLogger, request);
+    }
+
+    const responded = info.responded || info.completed || Date.now();
+
+    if (nipo._summary) {
+        Summary.record(nipo._summary, internals.routeInfo(request), {
+            statusCode: response?.statusCode,
+            delay: responded - info.received,
+            received: state?.received,
+            sent: state?.sent
+        });
+    }
+
+    if (response && routeSettings.log === false) {
+        return internals.logResponseError(nipo.eventLogger, request);
+    }
+
     if (response && logResponse) {
         const result = logResponse(request);
         if (!result) {
             // No response logging, but still check for event logging
 
-            return internals.logResponseError(nipo.eventLogger, response, info.id);
+            return internals.logResponseError(nipo.eventLogger, request);
         }
 
         if (typeof result === 'string') {
@@ -57,93 +102,264 @@ internals.onResponseHandler = function (logResponse, request) {
         }
     }
 
+    const sampling = nipo._settings.sampling;
+
+    const sampleRate = internals.sampleRate(request, routeSettings.sampleRate ?? sampling.rate, sampling.threshold, responded - info.received);
+    if (sampleRate === 0) {
+        return internals.logResponseError(nipo.eventLogger, request);
+    }
+
+    const json = Utils.entry(nipo._json);
     const req = {
         id: info.id,
         method: request.method,
         path: request.url.pathname + request.url.search,
         clientIp: info.remoteAddress,
+        bytes: state?.received,
+        ...state?.trace,
         auth: request.auth.mode !== null ? {
             valid: request.auth.isAuthenticated,
             access: request.auth.isAuthenticated ? request.auth.isAuthorized : undefined,
-            credentials: Utils.safeJsonObject(request.auth.credentials || undefined),
+            credentials: Utils.safeJsonObject(request.auth.credentials || undefined, json),
             strategy: request.auth.strategy || undefined
-        } : undefined
+        } : undefined,
+        headers: internals.captureHeaders(request.headers, 'req', routeSettings.headers, nipo._settings.headers),
+        payload: internals.renderPayload(state?.payload, 'req', request.headers['content-type'])
     };
 
-    // Lazy validation
-
-    const plugins = request.route.settings.plugins;
-    if (plugins.nipo && !plugins.nipo._validated) {
-        plugins.nipo = Joi.attempt(plugins.nipo, internals.configSchema);
-    }
+    internals.applyUserProps(request, req, nipo._schema?.req, json);
+    internals.applyUserProps(request, req, routeSettings.req, json);
 
-    const routeSettings = plugins.nipo || {};
-
-    internals.applyUserProps(request, req, routeSettings.req);
-
-    const route = (request.params !== null) ? {
-        id: request.route.settings.id,
-        vhost: request.route.vhost,
-        path: request.route.path,
-        realm: request.route.realm.plugin
-    } : {};
+    const route = internals.routeInfo(request);
 
     if (response) {
-        const responded = info.responded || info.completed || Date.now();
-
         const { _error: error } = response;
         let reason;
         if (error) {
-            const serialized = Serialize.serializers.err(error, false);
+            const serialized = Serialize.serializers.err(error, false, { json });
             reason = {
-                reason: `${serialized.type}: ${serialized.message}`
+                reason: `${serialized.type}: ${serialized.message}`,
+                fingerprint: Serialize.fingerprint(error)
             };
             if (serialized.data) {
                 reason.data = serialized.data;
             }
 
-            internals.logResponseError(nipo.eventLogger, response, info.id);
+            internals.logResponseError(nipo.eventLogger, request);
         }
 
         const res = {
             statusCode: response.statusCode,
-            //payload: ?bytes?,
+            bytes: state?.sent,
+            headers: internals.captureHeaders(request.raw.res.getHeaders(), 'res', routeSettings.headers, nipo._settings.headers),
+            payload: internals.renderPayload(state?.payload, 'res', request.raw.res.getHeader('content-type'), response),
             ...reason,
-            delay: responded - info.received
+            delay: responded - info.received,
+            timings: state?.marks ? Timings.collect(state.marks) : undefined,
+            sampleRate
         };
 
-        internals.applyUserProps(request, res, routeSettings.res);
+        internals.applyUserProps(request, res, routeSettings.res, json);
 
         if (!logLevel) {
-            logLevel = response.statusCode >= 400 ? (response.statusCode >= 500 ? 'error' : 'warn') : 'info';
+            logLevel = routeSettings.level ??
+                internals.lookupStatusLevel(routeSettings.statusLevels, response.statusCode) ??
+                internals.lookupStatusLevel(nipo._settings.statusLevels, response.statusCode);
         }
 
-        nipo.responseLogger[logLevel]({ req, route, res }, 'request-response');
+        if (res.delay >= nipo._settings.slowThreshold &&
+            internals.pinoLevels.values[logLevel] < internals.pinoLevels.values.warn) {
+
+            logLevel = 'warn';
+        }
+
+        internals.writeResponse(nipo, request, logLevel, { req, route, res }, 'request-response');
     }
     else {
-        nipo.responseLogger.debug({ req, route }, 'request-aborted');
+        const res = { bytes: state?.sent, sampleRate };
+
+        internals.writeResponse(nipo, request, 'debug', { req, route, res }, 'request-aborted');
+    }
+};
+
+
+internals.writeResponse = function (nipo, request, logLevel, entry, msg) {
+
+    const access = nipo._access;
+    if (!access) {
+        return nipo.responseLogger[logLevel](entry, msg);
+    }
+
+    if (nipo.responseLogger.isLevelEnabled(logLevel)) {
+        const text = access.header + Access.line(nipo._settings.format, request, entry);
+        access.stream.write(access.crlf ? text.replace(/\n/g, '\r\n') : text);
+        access.header = '';
     }
 };
 
 
+internals.routeInfo = function (request) {
+
+    return (request.params !== null) ? {
+        id: request.route.settings.id,
+        vhost: request.route.vhost,
+        path: request.route.path,
+        realm: request.route.realm.plugin
+    } : {};
+};
+
+
+internals.captureHeaders = function (headers, type, routeConfig, config) {
+
+    const filter = routeConfig?.[type] ?? config?.[type];
+    if (filter) {
+        return Headers.capture(headers, filter, [config?.redact, routeConfig?.redact]);
+    }
+};
+
+
+internals.renderPayload = function (capture, type, contentType, response) {
+
+    const collector = capture?.[type];
+    if (!collector) {
+        return undefined;
+    }
+
+    // Error responses are not tapped, but have a small plain payload
+
+    if (response && !capture.tapped && response.variety === 'plain') {
+        const source = response.source;
+        Payload.append(collector, typeof source === 'string' || Buffer.isBuffer(source) ? source : JSON.stringify(source) ?? '');
+    }
+
+    return Payload.render(collector, contentType, capture.redact);
+};
+
+
+internals.sampleRate = function (request, rate, threshold, delay) {
+
+    if (rate === 1) {
+        return undefined;
+    }
+
+    // Always keep aborted, error, and slow responses
+
+    const { response } = request;
+    if (!(response?.statusCode < 400) ||
+        delay >= threshold) {
+
+        return 1;
+    }
+
+    // Deterministic sampling based on request id
+
+    return internals.hash(request.info.id) < rate ? rate : 0;
+};
+
+
+internals.hash = function (str) {
+
+    // 32-bit FNV-1a hash, normalized to [0, 1)
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; ++i) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0) / 0x100000000;
+};
+
+
+internals.routeSettings = function (request) {
+
+    // Lazy validation
+
+    const plugins = request.route.settings.plugins;
+    if (plugins.nipo && !plugins.nipo._validated) {
+        plugins.nipo = Joi.attempt(plugins.nipo, internals.configSchema);
+    }
+
+    return plugins.nipo || {};
+};
+
+
+internals.inflightInfo = function (request) {
+
+    const { info } = request;
+
+    return {
+        request: info.id,
+        ...request.plugins.nipo.trace,
+        method: request.method,
+        path: request.url.pathname + request.url.search,
+        route: internals.routeInfo(request),
+        phase: internals.phase(request),
+        elapsed: Date.now() - info.received
+    };
+};
+
+
+internals.phase = function (request) {
+
+    // Without a payload tap, the payload phase is detected from the raw request being read
+
+    const { phase } = request.plugins.nipo;
+    return phase === 'auth' && request.raw.req.readableFlowing ? 'payload' : phase;
+};
+
+
+internals.onRequestSlow = function (request) {
+
+    this.warn(internals.inflightInfo(request), 'request-slow');
+};
+
+
+internals.logInterrupted = function (logger, request) {
+
+    const inflight = request.server.plugins.nipo._inflight;
+
+    inflight.requests.delete(request);
+    ++inflight.interrupted;
+
+    logger.warn(internals.inflightInfo(request), 'request-interrupted');
+};
+
+
 internals.onRequestErrorHandler = function (request, event, { implementation }) {
 
     const level = implementation ? 'fatal' : 'error';
 
+    if (internals.isSuppressed(request.server.plugins.nipo._suppressor, 'request-error', event)) {
+        return;
+    }
+
     this[level]({
         request: event.request,
+        ...request.plugins.nipo?.trace,
         tags: event.tags,
-        err: event.error
+        err: internals.fingerprintedError(request.server.plugins.nipo._serializers.err, event.error)
     }, 'request-error');
 };
 
 
+internals.fingerprintedError = function (serializer, error) {
+
+    if (!(error instanceof Error)) {
+        return error;
+    }
+
+    return { ...serializer(error), fingerprint: Serialize.fingerprint(error) };
+};
+
+
 internals.onRequestInternalHandler = function (request, event) {
 
     this.debug({
         request: event.request,
+        ...request.plugins.nipo?.trace,
         tags: event.tags,
-        data: Utils.safeJsonObject(event.data),
+        data: Utils.safeJsonObject(event.data, request.server.plugins.nipo._json),
         err: event.error
     }, 'request-internal');
 };
@@ -152,99 +368,406 @@ internals.onRequestInternalHandler = function (request, event) {
 internals.onRequestAppHandler = function (request, event) {
 
     const nipo = request.server.plugins.nipo;
-    const method = internals.lookupLevel(event.tags, 'info', nipo.tagLevels);
+    const routeSettings = internals.routeSettings(request);
+    const method = internals.lookupLevel(event.tags, 'info', nipo.tagLevels, routeSettings.tagLevels);
+
+    if (internals.isErrorLevel(method) &&
+        internals.isSuppressed(nipo._suppressor, 'request-app', event)) {
+
+        return;
+    }
 
     this[method]({
         request: event.request,
+        ...request.plugins.nipo?.trace,
         tags: event.tags,
-        data: Utils.safeJsonObject(event.data),
+        data: Utils.safeJsonObject(event.data, nipo._json),
         err: event.error
     }, 'request-app');
 };
 
 
-internals.onLogInternalHandler = function (server, event) {
+internals.onLogInternalHandler = function (server, json, event) {
 
     this.debug({
         server,
         tags: event.tags,
-        data: Utils.safeJsonObject(event.data),
+        data: Utils.safeJsonObject(event.data, json),
         err: event.error
     }, 'log-internal');
 };
 
 
-internals.onLogAppHandler = function (server, tagLevels, event) {
+internals.onLogAppHandler = function (server, tagLevels, suppressor, json, event) {
 
     const method = internals.lookupLevel(event.tags, 'info', tagLevels);
 
+    if (internals.isErrorLevel(method) &&
+        internals.isSuppressed(suppressor, 'log-app', event)) {
+
+        return;
+    }
+
     this[method]({
         server,
         tags: event.tags,
-        data: Utils.safeJsonObject(event.data),
+        data: Utils.safeJsonObject(event.data, json),
         err: event.error
     }, 'log-app');
 };
 
 
+internals.isErrorLevel = function (level) {
+
+    return internals.pinoLevels.values[level] >= internals.pinoLevels.values.error;
+};
+
+
+internals.isSuppressed = function (suppressor, msg, event) {
+
+    if (!suppressor) {
+        return false;
+    }
+
+    return !Suppress.allow(suppressor, Suppress.key(msg, event.tags, event.error, event.data));
+};
+
+
+internals.onSuppressStop = function (server) {
+
+    Suppress.flush(server.plugins.nipo._suppressor);
+};
+
+
+internals.logSuppressed = function (summary) {
+
+    this.warn(summary, 'suppressed');
+};
+
+
 internals.onServerState = function (server, state) {
 
+    if (state === 'stopped') {
+        const inflight = server.plugins.nipo._inflight;
+
+        // Requests that are still tracked have been cut off without a response event
+
+        for (const request of inflight.requests) {
+            internals.logInterrupted(this, request);
+        }
+
+        this.info({ ...server.info, interrupted: inflight.interrupted }, 'server-stopped');
+
+        inflight.stopping = false;
+        inflight.interrupted = 0;
+        return;
+    }
+
     this.info(server.info, `server-${state}`);
 };
 
 
+internals.onSummaryStart = function (server, onInterval) {
+
+    const { _summary: summary, _settings: settings } = server.plugins.nipo;
+
+    summary.since = Date.now();
+    summary.timer = setInterval(onInterval, settings.summary.interval).unref();
+};
+
+
+internals.onSummaryStop = function (server) {
+
+    const nipo = server.plugins.nipo;
+
+    clearInterval(nipo._summary.timer);
+    internals.logSummary(nipo);
+};
+
+
+internals.logSummary = function (nipo) {
+
+    const summary = Summary.flush(nipo._summary);
+    if (summary) {
+        const logger = nipo._access ? nipo.eventLogger : nipo.responseLogger;        // Keep access logs free of JSON entries
+        logger.info({ interval: nipo._settings.summary.interval, ...summary }, 'traffic-summary');
+    }
+};
+
+
+internals.onHealthStart = function (server, onInterval) {
+
+    const { _health: monitor, _settings: settings } = server.plugins.nipo;
+
+    Health.start(monitor);
+    monitor.timer = setInterval(onInterval, settings.health.interval).unref();
+};
+
+
+internals.onHealthStop = function (server) {
+
+    const monitor = server.plugins.nipo._health;
+
+    clearInterval(monitor.timer);
+    Health.stop(monitor);
+};
+
+
+internals.logHealth = function (nipo) {
+
+    const sample = Health.sample(nipo._health);
+    const exceeded = Health.exceeded(sample, nipo._settings.health.thresholds);
+
+    nipo.eventLogger[exceeded ? 'warn' : 'info']({ ...sample, exceeded }, 'process-health');
+};
+
+
+internals.onPreStop = function (server) {
+
+    server.plugins.nipo._inflight.stopping = true;
+};
+
+
 internals.pinoLevels = Pino().levels;
 
 
+internals.levelSchema = Joi.string().equal(...Object.keys(internals.pinoLevels.values));
+
+
+internals.compileStatusLevels = function (levels) {
+
+    const ranges = [];
+    for (const [key, level] of Object.entries(levels)) {
+        if (key !== 'default') {
+            const [from, to = from] = key.replace(/^(\d)xx$/, '$100-$199').split('-').map(Number);
+            if (from > to) {
+                throw new Error(`invalid status code range "${key}"`);
+            }
+
+            ranges.push({ from, to, level });
+        }
+    }
+
+    // Apply widest ranges first, so more specific ranges take precedence
+
+    ranges.sort((a, b) => (b.to - b.from) - (a.to - a.from));
+
+    const map = new Map();
+    for (const { from, to, level } of ranges) {
+        for (let i = from; i <= to; ++i) {
+            map.set(i, level);
+        }
+    }
+
+    if (levels.default) {
+        map.set('default', levels.default);
+    }
+
+    return map;
+};
+
+
+internals.lookupStatusLevel = function (map, statusCode) {
+
+    return map?.get(statusCode) ?? map?.get('default');
+};
+
+
+internals.statusLevelsSchema = Joi.object().pattern(
+    Joi.string().pattern(/^(?:default|[1-5](?:xx|\d\d(?:-[1-5]\d\d)?))$/),
+    internals.levelSchema
+).custom(internals.compileStatusLevels);
+
+
+internals.headerFilterSchema = Joi.alternatives(
+    Joi.array().items(Joi.string()).single(),
+    Joi.object({
+        allow: Joi.array().items(Joi.string()).single().default(['*']),
+        deny: Joi.array().items(Joi.string()).single()
+    })
+);
+
+
+internals.headersSchema = Joi.object({
+    req: internals.headerFilterSchema,
+    res: internals.headerFilterSchema,
+    redact: Joi.array().items(Joi.string()).single()
+}).custom(Headers.compile);
+
+
+internals.payloadSchema = Joi.object({
+    req: Joi.boolean(),
+    res: Joi.boolean(),
+    maxBytes: Joi.number().integer().min(0),
+    redact: Joi.array().items(Joi.string().custom(Payload.parsePath)).single()
+});
+
+
+internals.defaultStatusLevels = internals.compileStatusLevels({
+    default: 'info',
+    '4xx': 'warn',
+    '5xx': 'error'
+});
+
+
 const baseTargetSchema = Joi.object({
     target: Joi.string(),
     options: Joi.object().unknown().optional()
 });
 
 
-internals.optionsSchema = Joi.object({
-    logResponse: Joi.func(),
-    tagLevels: Joi.object().pattern(
-        Joi.string(),
-        Joi.string().equal(...Object.keys(internals.pinoLevels.values))
+internals.streamSchema = Joi.object({
+    writable: Joi.boolean().equal(true)
+}).unknown();
+
+
+internals.pinoSchema = Joi.object({
+    name: Joi.string(),
+    level: Joi.alternatives().try(
+        Joi.number().integer().min(0).allow(Infinity),
+        internals.levelSchema.valid('silent')
+    ),
+    redact: Joi.alternatives().try(
+        Joi.array().items(Joi.string()).single(),
+        Joi.object({
+            paths: Joi.array().items(Joi.string()).single(),
+            censor: Joi.alternatives().try(Joi.string(), Joi.func()),
+            remove: Joi.boolean()
+        })
     ),
-    stream: Joi.object({
-        writable: Joi.boolean().equal(true)
-    }).unknown(),
+    formatters: Joi.object({
+        level: Joi.func(),
+        bindings: Joi.func(),
+        log: Joi.func()
+    }),
+    enabled: Joi.boolean(),
+    crlf: Joi.boolean(),
+    timestamp: Joi.alternatives().try(Joi.boolean(), Joi.func()),
+    messageKey: Joi.string(),
+    transport: Joi.alternatives().try(
+        baseTargetSchema.append({
+            targets: Joi.array().items(baseTargetSchema.append({
+                level: Joi.string()
+            })),
+            pipeline: Joi.array().items(baseTargetSchema),
+            worker: Joi.object().unknown(),
+            dedupe: Joi.boolean()
+        }).xor('target', 'targets', 'pipeline')
+    )
+});
+
+
+internals.loggerSchema = Joi.object({
+    stream: internals.streamSchema,
+    pino: internals.pinoSchema
+});
+
+
+internals.childLoggerSchema = Joi.object({
     pino: Joi.object({
-        name: Joi.string(),
-        level: Joi.alternatives().try(
-            Joi.number().integer().min(0).allow(Infinity),
-            Joi.string().equal(...Object.keys(internals.pinoLevels.values), 'silent')
-        ),
-        redact: Joi.alternatives().try(
-            Joi.array().items(Joi.string()).single(),
-            Joi.object({
-                paths: Joi.array().items(Joi.string()).single(),
-                censor: Joi.alternatives().try(Joi.string(), Joi.func()),
-                remove: Joi.boolean()
-            })
-        ),
-        formatters: Joi.object({
-            level: Joi.func(),
-            bindings: Joi.func(),
-            log: Joi.func()
-        }),
-        enabled: Joi.boolean().default(true),
-        crlf: Joi.boolean(),
-        timestamp: Joi.alternatives().try(Joi.boolean(), Joi.func()).default(true),
-        messageKey: Joi.string(),
-        transport: Joi.alternatives().try(
-            baseTargetSchema.append({
-                targets: Joi.array().items(baseTargetSchema.append({
-                    level: Joi.string()
-                })),
-                pipeline: Joi.array().items(baseTargetSchema),
-                worker: Joi.object().unknown(),
-                dedupe: Joi.boolean()
-            }).xor('target', 'targets', 'pipeline')
-        )
-    }).default({})
+        level: internals.pinoSchema.extract('level')
+    })
+});
+
+
+internals.optionsSchema = Joi.object({
+    logResponse: Joi.func(),
+    tagLevels: Joi.object().pattern(Joi.string(), internals.levelSchema),
+    statusLevels: internals.statusLevelsSchema,
+    slowThreshold: Joi.number().integer().min(0),
+    headers: internals.headersSchema,
+    payload: internals.payloadSchema.keys({
+        req: Joi.boolean().default(false),
+        res: Joi.boolean().default(false),
+        maxBytes: Joi.number().integer().min(0).default(1024),
+        redact: Joi.array().items(Joi.string().custom(Payload.parsePath)).single().default([])
+    }).default(),
+    timings: Joi.boolean().default(false),
+    format: Joi.string().valid('json', ...Object.keys(internals.schemas), ...Access.formats).default('json')
+        .when('logger', { is: Joi.exist(), then: Joi.valid(Joi.override, 'json') }),
+    projectId: Joi.string(),
+    summary: Joi.object({
+        interval: Joi.number().integer().min(1).default(60000)
+    }),
+    health: Joi.object({
+        interval: Joi.number().integer().min(1).default(10000),
+        thresholds: Joi.object({
+            eventLoopDelay: Joi.number().min(0),
+            eventLoopUtilization: Joi.number().min(0).max(1),
+            heapUsed: Joi.number().integer().min(0),
+            rss: Joi.number().integer().min(0),
+            handles: Joi.number().integer().min(0)
+        })
+    }),
+    errors: Joi.object({
+        structured: Joi.boolean().default(false),
+        maxDepth: Joi.number().integer().min(1).default(10),
+        maxFrames: Joi.number().integer().min(0),
+        collapse: Joi.boolean().default(false),
+        parseStack: Joi.boolean().default(false)
+    }).default(),
+    limits: Joi.object({
+        depth: Joi.number().integer().min(0),
+        keys: Joi.number().integer().min(0),
+        arrayLength: Joi.number().integer().min(0),
+        stringLength: Joi.number().integer().min(0),
+        budget: Joi.number().integer().min(0)
+    }),
+    types: Joi.array().items(Joi.object({
+        type: Joi.func().custom((value, helpers) => {
+
+            // Must be usable with instanceof
+
+            if (typeof value.prototype !== 'object' ||
+                value.prototype === null) {
+
+                return helpers.error('any.invalid');
+            }
+
+            return value;
+        }).required(),
+        serialize: Joi.func().required()
+    })),
+    suppress: Joi.object({
+        limit: Joi.number().integer().min(0).default(10),
+        window: Joi.number().integer().min(1).default(60000)
+    }),
+    sampling: Joi.object({
+        rate: Joi.number().min(0).max(1).default(1),
+        threshold: Joi.number().integer().min(0)
+    }).default(),
+    trace: Joi.object({
+        w3c: Joi.boolean().default(true),
+        b3: Joi.boolean().default(false),
+        generate: Joi.boolean().default(false)
+    }).default(),
+    logger: Joi.object().custom((value, helpers) => {
+
+        // Checked without object keys, which would validate a shallow clone of the logger
+
+        if (typeof value.child !== 'function' ||
+            typeof value.isLevelEnabled !== 'function') {
+
+            return helpers.error('any.invalid');
+        }
+
+        return value;
+    }),
+    stream: Joi.when('logger', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: internals.streamSchema
+    }),
+    pino: Joi.when('logger', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: internals.pinoSchema.keys({
+            enabled: Joi.boolean().default(true),
+            timestamp: Joi.alternatives().try(Joi.boolean(), Joi.func()).default(true)
+        }).default({})
+    }),
+    response: Joi.when('logger', { is: Joi.exist(), then: internals.childLoggerSchema, otherwise: internals.loggerSchema }),
+    events: Joi.when('logger', { is: Joi.exist(), then: internals.childLoggerSchema, otherwise: internals.loggerSchema })
 }).strict();
 
 
@@ -257,12 +780,29 @@ internals.mapSchema = Joi.object().pattern(Joi.string(), Joi.alternatives(
 internals.configSchema = Joi.object({
     req: internals.mapSchema,
     res: internals.mapSchema,
+    headers: internals.headersSchema,
+    payload: internals.payloadSchema,
+    timings: Joi.boolean(),
+    sampleRate: Joi.number().min(0).max(1),
+    log: Joi.boolean(),
+    level: internals.levelSchema,
+    statusLevels: internals.statusLevelsSchema,
+    tagLevels: Joi.object().pattern(Joi.string(), internals.levelSchema).custom((value) => {
+
+        return new Map(Object.entries(value).map(([tag, level]) => [tag, internals.pinoLevels.values[level]]));
+    }),
 
     _validated: Joi.boolean().default(true)
 }).strict();
 
 
-internals.onLevelChange = function (server, lvl, val, prevLvl, prevVal) {
+internals.onLevelChange = function (server, lvl, val, prevLvl, prevVal, instance) {
+
+    // Ignore level changes on child loggers, like request.logger
+
+    if (instance !== this) {
+        return;
+    }
 
     const levelChanged = (ref) => {
 
@@ -296,6 +836,247 @@ internals.onLevelChange = function (server, lvl, val, prevLvl, prevVal) {
 };
 
 
+internals.onRequestPrepare = function (onSlow, request, h) {
+
+    const settings = request.server.plugins.nipo._settings;
+    const state = request.plugins.nipo = {
+        received: 0,
+        sent: 0,
+        origin: Timings.origin(request.info.received),
+        routed: undefined,
+        phase: 'onRequest',
+        marks: null,
+        trace: Trace.extract(request.headers, settings.trace),
+        slowTimer: null,
+        bindings: null,
+        logger: null
+    };
+
+    state.bindings = { request: request.info.id, ...state.trace };
+
+    // The request logger is only created when used
+
+    Object.defineProperty(request, 'logger', { get: internals.requestLogger, configurable: true });
+
+    if (settings.slowThreshold !== undefined) {
+        const remaining = settings.slowThreshold - (Date.now() - request.info.received);
+        state.slowTimer = setTimeout(onSlow, Math.max(remaining, 0), request).unref();
+    }
+
+    request.server.plugins.nipo._inflight.requests.add(request);
+
+    internals.countReads(request.raw.req, state);
+    internals.countWrites(request.raw.res, state);
+
+    return h.continue;
+};
+
+
+internals.countReads = function (req, state) {
+
+    // Count payload bytes received on the raw request, before any decompression
+
+    const { push } = req;
+    req.push = function (chunk, encoding, ...args) {
+
+        if (chunk) {
+            state.received += internals.byteLength(chunk, encoding);
+        }
+
+        return push.call(this, chunk, encoding, ...args);
+    };
+};
+
+
+internals.countWrites = function (res, state) {
+
+    // Count payload bytes written to the raw response, after any compression and ranging
+
+    const { write, end } = res;
+    let ending = false;
+
+    res.write = function (chunk, encoding, ...args) {
+
+        if (!ending) {                      // Some res.end() implementations call res.write()
+            state.sent += internals.byteLength(chunk, encoding);
+            internals.enterPhase(state, 'transmission');
+        }
+
+        return write.call(this, chunk, encoding, ...args);
+    };
+
+    res.end = function (chunk, encoding, ...args) {
+
+        state.sent += internals.byteLength(chunk, encoding);
+        internals.enterPhase(state, 'transmission');
+
+        ending = true;
+        try {
+            return end.call(this, chunk, encoding, ...args);
+        }
+        finally {
+            ending = false;
+        }
+    };
+};
+
+
+internals.byteLength = function (chunk, encoding) {
+
+    if (typeof chunk === 'string') {
+        return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+    }
+
+    return chunk?.byteLength ?? 0;
+};
+
+
+internals.requestLogger = function () {
+
+    const state = this.plugins.nipo;
+    state.logger ??= this.server.plugins.nipo.eventLogger.child(state.bindings);
+
+    return state.logger;
+};
+
+
+internals.addBindings = function (state, bindings) {
+
+    Object.assign(state.bindings, bindings);
+    state.logger?.setBindings(bindings);
+};
+
+
+internals.onPreAuth = function (request, h) {
+
+    const state = request.plugins.nipo;
+    if (state) {
+        internals.addBindings(state, { route: { path: request.route.path } });
+
+        const settings = request.server.plugins.nipo._settings;
+        const routeSettings = internals.routeSettings(request);
+
+        if (routeSettings.timings ?? settings.timings) {
+            state.marks = Timings.start(state.origin, state.routed);
+        }
+
+        internals.enterPhase(state, 'auth');
+
+        const payload = { ...settings.payload, ...routeSettings.payload };
+        if (payload.req || payload.res) {
+            state.payload = {
+                req: payload.req ? Payload.collector(payload.maxBytes) : null,
+                res: payload.res ? Payload.collector(payload.maxBytes) : null,
+                redact: [...settings.payload.redact, ...(routeSettings.payload?.redact ?? [])],
+                tapped: false
+            };
+        }
+
+        // Tap the request payload only when needed, to precisely mark the start of the payload phase or to capture it
+
+        if (state.marks ||
+            state.payload?.req) {
+
+            request.events.on('peek', internals.onPeek.bind(null, state));
+        }
+    }
+
+    return h.continue;
+};
+
+
+internals.onPeek = function (state, chunk, encoding) {
+
+    internals.enterPhase(state, 'payload');
+
+    if (state.payload?.req) {
+        Payload.append(state.payload.req, chunk, encoding);
+    }
+};
+
+
+internals.onPostAuth = function (request, h) {
+
+    if (request.auth.strategy) {
+        internals.addBindings(request.plugins.nipo, { auth: request.auth.strategy });
+    }
+
+    internals.enterPhase(request.plugins.nipo, 'validation');
+
+    return h.continue;
+};
+
+
+internals.onPreResponse = function (request, h) {
+
+    const state = request.plugins.nipo;
+    internals.enterPhase(state, 'onPreResponse');
+
+    // Tap the response payload before any compression is applied
+
+    const collector = state?.payload?.res;
+    if (collector && !request.response.isBoom) {
+        state.payload.tapped = true;
+        request.response.events.on('peek', (chunk, encoding) => Payload.append(collector, chunk, encoding));
+    }
+
+    return h.continue;
+};
+
+
+internals.enterPhase = function (state, phase) {
+
+    // Ignore late phase changes, eg. when a streamed payload is read by the handler
+
+    if (state &&
+        Timings.phases.indexOf(phase) > Timings.phases.indexOf(state.phase)) {
+
+        state.phase = phase;
+        Timings.mark(state.marks, phase);
+    }
+};
+
+
+internals.onLifecycleMark = function (phase) {
+
+    return function (request, h) {
+
+        internals.enterPhase(request.plugins.nipo, phase);
+
+        return h.continue;
+    };
+};
+
+
+internals.onRouting = function (request, h) {
+
+    // Timing marks are only prepared once the route is known
+
+    const state = request.plugins.nipo;
+    state.routed = Timings.now();
+    internals.enterPhase(state, 'routing');
+
+    return h.continue;
+};
+
+
+internals.onRoute = function (route) {
+
+    route.settings.handler = internals.timedHandler(route.settings.handler);
+};
+
+
+internals.timedHandler = function (handler) {
+
+    return function (request, h) {
+
+        internals.enterPhase(request.plugins.nipo, 'handler');
+
+        return handler.call(this, request, h);
+    };
+};
+
+
 internals.prepareLevelMap = function (tagLevels) {
 
     const map = new Map(Object.entries(internals.pinoLevels.values));
@@ -306,12 +1087,12 @@ internals.prepareLevelMap = function (tagLevels) {
     return map;
 };
 
-internals.lookupLevel = function (tags, defaultLevel, map) {
+internals.lookupLevel = function (tags, defaultLevel, map, overrides) {
 
     let level = -1;
 
     for (const tag of tags) {
-        const tagLevel = map.get(tag);
+        const tagLevel = overrides?.get(tag) ?? map.get(tag);
         if (tagLevel > level) {
             level = tagLevel;
         }
@@ -321,15 +1102,41 @@ internals.lookupLevel = function (tags, defaultLevel, map) {
 };
 
 
+internals.remap = function (map, settings) {
+
+    // Re-map serialized pino entries, since child logger bindings are always written as top level properties
+
+    return function (line) {
+
+        return JSON.stringify(map(JSON.parse(line), settings)) + line.slice(line.trimEnd().length);
+    };
+};
+
+
 internals.register = function (server, options) {
 
     options = Joi.attempt(options, internals.optionsSchema);
+    options.statusLevels = new Map([...internals.defaultStatusLevels, ...(options.statusLevels ?? [])]);
+
+    const schema = internals.schemas[options.format];
+    const json = { limits: options.limits, types: options.types };
+    const serializers = { err: Serialize.errSerializer({ ...options.errors, json }) };
 
     const fixedLogger = function (pinoOptions, destination) {
 
+        const hooks = {};
+        if (schema) {
+            hooks.streamWrite = internals.remap(schema.entry, {
+                labels: internals.pinoLevels.labels,
+                messageKey: pinoOptions.messageKey ?? 'msg',
+                resource: schema.resource(pinoOptions.name, options)
+            });
+        }
+
         const logger = Pino({
             base: options.name ? {} : null,
-            serializers: Serialize.serializers,
+            serializers,
+            hooks,
             ...pinoOptions
         }, destination);
 
@@ -343,15 +1150,53 @@ internals.register = function (server, options) {
         return stream.hasOwnProperty('write') ? stream : Pino.destination(stream.fd);
     };
 
-    const responseLogger = fixedLogger(options.pino, options.stream || fast(process.stdout));
-    const eventLogger = fixedLogger(options.pino, options.stream || fast(process.stderr));
+    const childLogger = function (pinoOptions = {}) {
+
+        return options.logger.child({}, {
+            serializers,
+            ...pinoOptions
+        });
+    };
+
+    let responseLogger;
+    let eventLogger;
+
+    if (options.logger) {
+        responseLogger = childLogger(options.response?.pino);
+        eventLogger = childLogger(options.events?.pino);
+    }
+    else {
+
+        // Logger specific options are merged over the shared options
+
+        responseLogger = fixedLogger({ ...options.pino, ...options.response?.pino }, options.response?.stream || options.stream || fast(process.stdout));
+        eventLogger = fixedLogger({ ...options.pino, ...options.events?.pino }, options.events?.stream || options.stream || fast(process.stderr));
+    }
 
     const nipo = {};
     Object.defineProperty(nipo, 'responseLogger', { value: responseLogger });
     Object.defineProperty(nipo, 'eventLogger', { value: eventLogger });
     Object.defineProperty(nipo, 'tagLevels', { value: internals.prepareLevelMap(options.tagLevels) });
+    Object.defineProperty(nipo, '_settings', { value: options });
+    Object.defineProperty(nipo, '_schema', { value: schema });
+    Object.defineProperty(nipo, '_serializers', { value: serializers });
+    Object.defineProperty(nipo, '_json', { value: json });
+    Object.defineProperty(nipo, '_access', { value: Access.formats.includes(options.format) ? {
+        stream: responseLogger[Pino.symbols.streamSym],         // Write through the logger destination, which can be a transport
+        header: Access.header(options.format),
+        crlf: options.response?.pino?.crlf ?? options.pino.crlf
+    } : null });
+    Object.defineProperty(nipo, '_inflight', { value: { requests: new Set(), stopping: false, interrupted: 0 } });
     Object.defineProperty(server.plugins, 'nipo', { value: nipo });
 
+    if (options.summary) {
+        Object.defineProperty(nipo, '_summary', { value: Summary.create() });
+    }
+
+    if (options.health) {
+        Object.defineProperty(nipo, '_health', { value: Health.create() });
+    }
+
     // This guards callbacks against thrown errors
 
     const safeHandler = function (handler, ...boundArgs) {
@@ -370,38 +1215,89 @@ internals.register = function (server, options) {
                     server: server.info.id,
                     type: err.constructor.name,
                     message: err.message,
-                    stack: err.stack
+                    stack: err.stack,
+                    fingerprint: Serialize.fingerprint(err)
                 }, 'nipo-error');
             }
         };
     };
 
+    if (options.suppress) {
+        Object.defineProperty(nipo, '_suppressor', { value: Suppress.create(options.suppress, safeHandler('logSuppressed')) });
+    }
+
     server.events.on('response', safeHandler('onResponseHandler', options.logResponse));
     server.events.on({ name: 'request', channels: 'error' }, safeHandler('onRequestErrorHandler'));
 
     internals.handlers = {
         requestInternal: safeHandler('onRequestInternalHandler'),
-        logInternal: safeHandler('onLogInternalHandler', server.info.id),
+        logInternal: safeHandler('onLogInternalHandler', server.info.id, nipo._json),
         requestApp: safeHandler('onRequestAppHandler'),
-        logApp: safeHandler('onLogAppHandler', server.info.id, nipo.tagLevels)
+        logApp: safeHandler('onLogAppHandler', server.info.id, nipo.tagLevels, nipo._suppressor, nipo._json)
     };
 
     eventLogger.on('level-change', internals.onLevelChange.bind(eventLogger, server));
-    internals.onLevelChange.call(eventLogger, server, eventLogger.level, eventLogger.levelVal);
+    internals.onLevelChange.call(eventLogger, server, eventLogger.level, eventLogger.levelVal, undefined, undefined, eventLogger);
+
+
+    // Track request state through the lifecycle
+
+    server.ext('onRequest', internals.onRequestPrepare.bind(null, safeHandler('onRequestSlow')));
+    server.ext('onPreAuth', internals.onPreAuth);
+    server.ext('onPostAuth', internals.onPostAuth);
+    server.ext('onPreHandler', internals.onLifecycleMark('preHandlers'));
+    server.ext('onPostHandler', internals.onLifecycleMark('postHandler'));
+    server.ext('onPreResponse', internals.onPreResponse);
 
     server.events.on('start', safeHandler('onServerState', server, 'started'));
     server.events.on('stop', safeHandler('onServerState', server, 'stopped'));
+    server.ext('onPreStop', internals.onPreStop);
+
+    if (options.summary) {
+        server.events.on('start', safeHandler('onSummaryStart', server, safeHandler('logSummary', nipo)));
+        server.events.on('stop', safeHandler('onSummaryStop', server));
+    }
+
+    if (options.suppress) {
+        server.events.on('stop', safeHandler('onSuppressStop', server));
+    }
+
+    if (options.health) {
+        server.events.on('start', safeHandler('onHealthStart', server, safeHandler('logHealth', nipo)));
+        server.events.on('stop', safeHandler('onHealthStop', server));
+    }
+
+    // Mark the end of route prerequisites, including for routes added after the server is started
+
+    for (const route of server.table()) {
+        internals.onRoute(route);
+    }
+
+    server.events.on('route', internals.onRoute);
+
+    let routingMarked = false;
 
     server.ext('onPreStart', () => {
 
-        // Prepare plugin options
+        // Prepare plugin options, skipping routes validated on a previous start
 
         const routes = server.table();
         for (const route of routes) {
-            if ('nipo' in route.settings.plugins) {
+            if ('nipo' in route.settings.plugins &&
+                !route.settings.plugins.nipo?._validated) {
+
                 route.settings.plugins.nipo = Joi.attempt(route.settings.plugins.nipo, internals.configSchema);
             }
         }
+
+        // Mark the end of onRequest extensions once all plugins have been registered, when any timings are collected
+
+        if (!routingMarked &&
+            (options.timings || routes.some((route) => route.settings.plugins.nipo?.timings))) {
+
+            server.ext('onRequest', internals.onRouting);
+            routingMarked = true;
+        }
     });
 };
 
@@ -0,0 +1,133 @@
+'use strict';
+
+const Os = require('os');
+
+const Utils = require('./utils');
+
+
+const internals = {
+    severity: {
+        trace: 1,
+        debug: 5,
+        info: 9,
+        warn: 13,
+        error: 17,
+        fatal: 21
+    },
+    traceKeys: ['trace_id', 'span_id', 'trace_flags', 'trace_state']
+};
+
+
+exports.resource = function (name) {
+
+    return {
+        'service.name': name,
+        'host.name': Os.hostname(),
+        'process.pid': process.pid
+    };
+};
+
+
+exports.entry = function (entry, { labels, messageKey, resource }) {
+
+    const { level, time, [messageKey]: body, req, res, route, err, ...fields } = entry;
+
+    const label = labels[level] ?? level;
+    const trace = req ?? fields;
+    const attributes = {};
+
+    if (req) {
+        const { id, method, path, clientIp, bytes, headers, ...other } = req;
+        const [urlPath, query] = Utils.splitPath(path);
+
+        Object.assign(attributes, {
+            request: id,
+            'http.request.method': method?.toUpperCase(),
+            'url.path': urlPath,
+            'url.query': query,
+            'client.address': clientIp,
+            'http.request.body.size': bytes,
+            ...internals.headers('http.request.header', headers),
+            req: internals.nonEmpty(internals.omit(other, internals.traceKeys))
+        });
+    }
+
+    if (route) {
+        const { path, ...other } = route;
+        attributes['http.route'] = path;
+        attributes.route = internals.nonEmpty(other);
+    }
+
+    if (res) {
+        const { statusCode, bytes, headers, ...other } = res;
+
+        Object.assign(attributes, {
+            'http.response.status_code': statusCode,
+            'http.response.body.size': bytes,
+            ...internals.headers('http.response.header', headers),
+            res: internals.nonEmpty(other)
+        });
+    }
+
+    if (err) {
+        const { type, message, stack, ...other } = err;
+
+        Object.assign(attributes, {
+            'exception.type': type,
+            'exception.message': message,
+            'exception.stacktrace': stack,
+            err: internals.nonEmpty(other)
+        });
+    }
+
+    Object.assign(attributes, internals.omit({ ...fields }, internals.traceKeys));
+
+    return {
+        Timestamp: internals.timestamp(time),
+        SeverityText: typeof label === 'string' ? label.toUpperCase() : undefined,
+        SeverityNumber: internals.severity[label],
+        Body: body,
+        Attributes: attributes,
+        Resource: resource,
+        TraceId: trace.trace_id,
+        SpanId: trace.span_id,
+        TraceFlags: trace.trace_flags !== undefined ? parseInt(trace.trace_flags, 16) : undefined
+    };
+};
+
+
+internals.headers = function (prefix, headers) {
+
+    const attributes = {};
+    for (const name in headers) {
+        const value = headers[name];
+        attributes[`${prefix}.${name}`] = Array.isArray(value) ? value : [`${value}`];
+    }
+
+    return attributes;
+};
+
+
+internals.omit = function (obj, keys) {
+
+    for (const key of keys) {
+        delete obj[key];
+    }
+
+    return obj;
+};
+
+
+internals.nonEmpty = function (obj) {
+
+    return Object.keys(obj).length ? obj : undefined;
+};
+
+
+internals.timestamp = function (time) {
+
+    // Nanoseconds since the epoch, as a string to retain precision
+
+    const ms = typeof time === 'string' ? Date.parse(time) : time;
+    return Number.isFinite(ms) ? (BigInt(Math.round(ms)) * 1000000n).toString() : undefined;
+};
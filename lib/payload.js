@@ -0,0 +1,97 @@
+'use strict';
+
+const internals = {
+    censor: '[Redacted]',
+    textRx: /^text\/[^;\s]+\s*(?:;|$)/i,
+    jsonRx: /^application\/(?:[^;\s]+\+)?json\s*(?:;|$)/i
+};
+
+
+exports.parsePath = function (path) {
+
+    // Convert JSON-path like "$.items[*].secret" to ['items', '*', 'secret']
+
+    return path.replace(/^\$\.?/, '').replace(/\[(\*|\d+)\]/g, '.$1').split('.').filter(Boolean);
+};
+
+
+exports.collector = function (maxBytes) {
+
+    return { chunks: [], bytes: 0, total: 0, maxBytes };
+};
+
+
+exports.append = function (collector, chunk, encoding) {
+
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+
+    collector.total += buffer.length;
+
+    // Only retain up to maxBytes - the rest is just counted
+
+    if (collector.bytes < collector.maxBytes) {
+        const part = buffer.subarray(0, collector.maxBytes - collector.bytes);
+        collector.chunks.push(part);
+        collector.bytes += part.length;
+    }
+};
+
+
+exports.render = function (collector, contentType = '', redact = []) {
+
+    const isJson = internals.jsonRx.test(contentType);
+    if (!isJson && !internals.textRx.test(contentType)) {
+        return undefined;
+    }
+
+    const text = Buffer.concat(collector.chunks).toString('utf8');
+    const truncated = collector.total - collector.bytes;
+
+    if (truncated) {
+        if (isJson && redact.length) {
+            return `[Truncated: ${collector.total} bytes]`;            // Unable to redact partial JSON
+        }
+
+        return `${text}[Truncated: ${truncated} bytes]`;
+    }
+
+    if (isJson && text) {
+        try {
+            const value = JSON.parse(text);
+            for (const path of redact) {
+                internals.redact(value, path, 0);
+            }
+
+            return value;
+        }
+        catch {
+            if (redact.length) {
+                return `[Invalid JSON: ${collector.total} bytes]`;     // Unable to redact
+            }
+        }
+    }
+
+    return text;
+};
+
+
+internals.redact = function (obj, path, pos) {
+
+    if (obj === null || typeof obj !== 'object') {
+        return;
+    }
+
+    const key = path[pos];
+    const keys = key === '*' ? Object.keys(obj) : [key];
+
+    for (const name of keys) {
+        if (Object.hasOwn(obj, name)) {
+            if (pos === path.length - 1) {
+                obj[name] = internals.censor;
+            }
+            else {
+                internals.redact(obj[name], path, pos + 1);
+            }
+        }
+    }
+};
@@ -1,12 +1,20 @@
 'use strict';
 
+const Crypto = require('crypto');
+
 const Boom = require('@hapi/boom');
 
 const Utils = require('./utils');
 
 
 const internals = {
-    boomCtor: new Boom.Boom().constructor
+    boomCtor: new Boom.Boom().constructor,
+    fingerprintFrames: 5,
+    frameRx: /^\s*at (?:(.*?) \()?(.*?)(?::\d+){0,2}\)?$/,
+    variableRx: /(["'`]).*?\1|\b[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}\b|\b(?:0x)?[\da-f]*\d[\da-f]*\b/gi,
+    frameLineRx: /^\s*at /,
+    stackFrameRx: /^\s*at (?:(.*?) \()?(.*?)(?::(\d+))?(?::(\d+))?\)?$/,
+    libraryRx: /[\\/]node_modules[\\/]|^node:|^internal[\\/]|^native$|^index \d+$/
 };
 
 
@@ -51,7 +59,7 @@ internals.errorCause = function (error) {
 };
 
 
-internals.addCause = function (serialized, error, withStack, seen) {
+internals.addCause = function (serialized, error, withStack, seen, settings) {
 
     if (error === undefined) {
         return serialized;
@@ -60,7 +68,15 @@ internals.addCause = function (serialized, error, withStack, seen) {
     // Ensure we don't go circular
 
     if (seen.has(error)) {
-        withStack && (serialized.stack += '\ncauses have become circular...');
+        if (withStack) {
+            if (Array.isArray(serialized.stack)) {
+                serialized.stack.push({ cause: '[Circular]' });
+            }
+            else {
+                serialized.stack += '\ncauses have become circular...';
+            }
+        }
+
         serialized.message += ': ...';
         return serialized;
     }
@@ -71,22 +87,24 @@ internals.addCause = function (serialized, error, withStack, seen) {
         seen.add(error);
 
         if (withStack) {
-            serialized.stack += '\ncaused by: ' + (error.stack ?? '<unknown>');
+            if (Array.isArray(serialized.stack)) {
+                const frames = internals.stack(error.stack, settings);
+                serialized.stack.push({ cause: `${error.name}: ${error.message}` }, ...(Array.isArray(frames) ? frames : []));
+            }
+            else {
+                serialized.stack += '\ncaused by: ' + (internals.stack(error.stack, settings) ?? '<unknown>');
+            }
         }
 
         const cause = internals.errorCause(error);
-        return internals.addCause(serialized, cause, withStack, seen);
+        return internals.addCause(serialized, cause, withStack, seen, settings);
     }
 
     return serialized;
 };
 
 
-internals.errSerializer = function (error, withStack = true) {
-
-    if (!(error instanceof Error)) {
-        return error;
-    }
+internals.serializeError = function (error, withStack, settings) {
 
     const message = `${error.message}`;
     const cause = internals.errorCause(error);
@@ -103,21 +121,240 @@ internals.errSerializer = function (error, withStack = true) {
         }
     }
 
-    const res = {
+    const serialized = {
         type,
         message: `${message}`,
-        code: Utils.safeJsonObject(code),
+        code: Utils.safeJsonObject(code, settings.json),
         ...((data !== null && data !== undefined) ? {
-            data: Utils.safeJsonObject(data)
+            data: Utils.safeJsonObject(data, settings.json)
         } : undefined),
         ...(withStack ? {
-            stack: Utils.safeJsonObject(error.stack)
+            stack: internals.stack(error.stack, settings)
         } : undefined)
     };
 
+    return { serialized, cause };
+};
+
+
+internals.errSerializer = function (error, withStack = true, settings = {}) {
+
+    if (!(error instanceof Error)) {
+        return error;
+    }
+
+    const { serialized, cause } = internals.serializeError(error, withStack, settings);
+
     withStack &= typeof error.stack === 'string';
 
-    return internals.addCause(res, cause, withStack, new Set([error]));
+    return internals.addCause(serialized, cause, withStack, new Set([error]), settings);
+};
+
+
+internals.structuredSerializer = function (settings, error) {
+
+    if (!(error instanceof Error)) {
+        return error;
+    }
+
+    return internals.structured(error, settings, new Set([error]), 0);
+};
+
+
+internals.structured = function (error, settings, seen, depth) {
+
+    const { serialized, cause } = internals.serializeError(error, true, settings);
+    internals.addMembers(serialized, error, settings, seen, depth);
+
+    // Flatten the cause chain
+
+    const causes = [];
+    let next = cause;
+    while (next !== undefined) {
+        if (causes.length >= settings.maxDepth) {
+            causes.push('[Truncated]');
+            break;
+        }
+
+        if (seen.has(next)) {
+            causes.push('[Circular]');
+            break;
+        }
+
+        if (!(next instanceof Error)) {
+            causes.push(Utils.safeJsonObject(next, settings.json));
+            break;
+        }
+
+        seen.add(next);
+
+        const { serialized: serializedCause, cause: nextCause } = internals.serializeError(next, true, settings);
+        internals.addMembers(serializedCause, next, settings, seen, depth);
+        causes.push(serializedCause);
+        next = nextCause;
+    }
+
+    if (causes.length) {
+        serialized.causes = causes;
+    }
+
+    return serialized;
+};
+
+
+internals.addMembers = function (serialized, error, settings, seen, depth) {
+
+    // AggregateError and compatible errors
+
+    if (!Array.isArray(error.errors)) {
+        return;
+    }
+
+    if (depth >= settings.maxDepth) {
+        serialized.errors = ['[Truncated]'];
+        return;
+    }
+
+    serialized.errors = error.errors.map((member) => {
+
+        if (!(member instanceof Error)) {
+            return Utils.safeJsonObject(member, settings.json);
+        }
+
+        if (seen.has(member)) {
+            return '[Circular]';
+        }
+
+        seen.add(member);
+        return internals.structured(member, settings, seen, depth + 1);
+    });
+};
+
+
+internals.stack = function (stack, settings) {
+
+    if (typeof stack !== 'string' ||
+        (settings.maxFrames === undefined && !settings.collapse && !settings.parseStack)) {
+
+        return Utils.safeJsonObject(stack, settings.json);
+    }
+
+    const lines = stack.split('\n');
+    const header = lines.filter((line) => !internals.frameLineRx.test(line));
+
+    // Collapse consecutive library and node internal frames
+
+    const entries = [];
+    let run = [];
+    const flush = () => {
+
+        entries.push(...(run.length > 1 ? [{ omitted: run.length }] : run));
+        run = [];
+    };
+
+    for (const line of lines.filter((frame) => internals.frameLineRx.test(frame))) {
+        const [, fn, file, lineNo, column] = internals.stackFrameRx.exec(line);
+        const entry = {
+            text: line,
+            frame: { fn, file, line: lineNo && Number(lineNo), column: column && Number(column) }
+        };
+
+        if (settings.collapse &&
+            internals.libraryRx.test(file)) {
+
+            run.push(entry);
+            continue;
+        }
+
+        flush();
+        entries.push(entry);
+    }
+
+    flush();
+
+    // Limit the number of retained frames
+
+    if (settings.maxFrames !== undefined) {
+        let frames = 0;
+        const index = entries.findIndex((entry) => entry.frame && ++frames > settings.maxFrames);
+        if (index !== -1) {
+            const omitted = entries.splice(index).reduce((sum, entry) => sum + (entry.omitted ?? 1), 0);
+            const last = entries[entries.length - 1];
+            if (last?.omitted) {
+                last.omitted += omitted;
+            }
+            else {
+                entries.push({ omitted });
+            }
+        }
+    }
+
+    if (settings.parseStack) {
+        return entries.map((entry) => entry.frame ?? { omitted: entry.omitted });
+    }
+
+    return [...header, ...entries.map((entry) => entry.text ?? `    … ${entry.omitted} frames omitted`)].join('\n');
+};
+
+
+exports.errSerializer = function (settings = {}) {
+
+    if (settings.structured) {
+        return (error) => internals.structuredSerializer(internals.entry(settings), error);
+    }
+
+    return (error) => internals.errSerializer(error, true, internals.entry(settings));
+};
+
+
+internals.entry = function (settings) {
+
+    // Each serialized error has its own limits budget
+
+    return settings.json ? { ...settings, json: Utils.entry(settings.json) } : settings;
+};
+
+
+exports.fingerprint = function (error) {
+
+    if (!(error instanceof Error)) {
+        return undefined;
+    }
+
+    // Cause chain types
+
+    const parts = [internals.errorName(error)];
+    const seen = new Set([error]);
+    let cause = internals.errorCause(error);
+    while (cause instanceof Error && !seen.has(cause)) {
+        seen.add(cause);
+        parts.push(internals.errorName(cause));
+        cause = internals.errorCause(cause);
+    }
+
+    // Message with variable parts, like ids and quoted values, replaced
+
+    parts.push(`${error.message}`.replace(internals.variableRx, '*'));
+
+    // Top stack frames without line and column numbers
+
+    if (typeof error.stack === 'string') {
+        const frames = error.stack.split('\n').filter((line) => internals.frameLineRx.test(line));
+        for (const frame of frames.slice(0, internals.fingerprintFrames)) {
+            parts.push(internals.normalizeFrame(frame));
+        }
+    }
+
+    return Crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+};
+
+
+internals.normalizeFrame = function (frame) {
+
+    const [, fn = '', location] = internals.frameRx.exec(frame);
+    const cwd = process.cwd();
+
+    return `${fn} ${location.replace(/^file:\/\//, '').replace(cwd, '.')}`;
 };
 
 
@@ -0,0 +1,71 @@
+'use strict';
+
+const internals = {
+    percentiles: [50, 90, 99]
+};
+
+
+exports.create = function () {
+
+    return { routes: new Map(), since: Date.now() };
+};
+
+
+exports.record = function (summary, route, { statusCode, delay, received = 0, sent = 0 }) {
+
+    const key = `${route.vhost ?? ''}\0${route.id ?? ''}\0${route.path ?? ''}`;
+
+    let entry = summary.routes.get(key);
+    if (!entry) {
+        entry = { route, requests: 0, status: {}, delays: [], bytes: { req: 0, res: 0 } };
+        summary.routes.set(key, entry);
+    }
+
+    const group = statusCode ? `${Math.floor(statusCode / 100)}xx` : 'aborted';
+
+    ++entry.requests;
+    entry.status[group] = (entry.status[group] ?? 0) + 1;
+    entry.bytes.req += received;
+    entry.bytes.res += sent;
+
+    if (statusCode) {
+        entry.delays.push(delay);
+    }
+};
+
+
+exports.flush = function (summary) {
+
+    const since = summary.since;
+    const routes = [];
+
+    for (const { delays, ...entry } of summary.routes.values()) {
+        routes.push({ ...entry, latency: internals.latency(delays) });
+    }
+
+    summary.routes.clear();
+    summary.since = Date.now();
+
+    return routes.length ? { since, routes } : null;
+};
+
+
+internals.latency = function (delays) {
+
+    if (!delays.length) {
+        return undefined;
+    }
+
+    delays.sort((a, b) => a - b);
+
+    // Nearest-rank percentiles
+
+    const latency = {};
+    for (const percentile of internals.percentiles) {
+        latency[`p${percentile}`] = delays[Math.ceil(percentile / 100 * delays.length) - 1];
+    }
+
+    latency.max = delays[delays.length - 1];
+
+    return latency;
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+exports.create = function ({ limit, window }, onSummary) {
+
+    return { limit, window, onSummary, entries: new Map(), timer: null };
+};
+
+
+exports.key = function (event, tags, error, data) {
+
+    const message = error ? error.message : (typeof data === 'string' ? data : '');
+
+    return {
+        key: [event, error?.name ?? '', message, tags.join(',')].join('\0'),
+        info: { event, tags, type: error?.name, message: message || undefined }
+    };
+};
+
+
+exports.allow = function (suppressor, { key, info }) {
+
+    // Windows start with the first event after a flush
+
+    suppressor.timer ??= setTimeout(exports.flush, suppressor.window, suppressor).unref();
+
+    let entry = suppressor.entries.get(key);
+    if (!entry) {
+        entry = { info, count: 0, suppressed: 0, first: undefined, last: undefined };
+        suppressor.entries.set(key, entry);
+    }
+
+    if (++entry.count <= suppressor.limit) {
+        return true;
+    }
+
+    const now = Date.now();
+    entry.first ??= now;
+    entry.last = now;
+    ++entry.suppressed;
+
+    return false;
+};
+
+
+exports.flush = function (suppressor) {
+
+    clearTimeout(suppressor.timer);
+    suppressor.timer = null;
+
+    for (const { info, suppressed, first, last } of suppressor.entries.values()) {
+        if (suppressed) {
+            suppressor.onSummary({ ...info, count: suppressed, first, last });
+        }
+    }
+
+    suppressor.entries.clear();
+};
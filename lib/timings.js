@@ -0,0 +1,68 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+
+
+const internals = {};
+
+
+// Ordered lifecycle phases. Each phase lasts from its own mark until the next recorded mark.
+
+exports.phases = ['onRequest', 'routing', 'auth', 'payload', 'validation', 'preHandlers', 'handler', 'postHandler', 'onPreResponse', 'transmission'];
+
+
+exports.origin = function (received) {
+
+    // Translate the Date.now() based received time to the high resolution clock
+
+    return performance.now() - (Date.now() - received);
+};
+
+
+exports.now = function () {
+
+    return performance.now();
+};
+
+
+exports.start = function (origin, routed) {
+
+    return { onRequest: origin, routing: routed };
+};
+
+
+exports.mark = function (marks, phase) {
+
+    if (marks) {
+        marks[phase] = exports.now();
+    }
+};
+
+
+exports.collect = function (marks) {
+
+    const end = performance.now();
+    const timings = {};
+
+    let prev;
+    for (const phase of exports.phases) {
+        const mark = marks[phase];
+        if (mark !== undefined) {
+            if (prev) {
+                timings[prev.phase] = internals.round(mark - prev.mark);
+            }
+
+            prev = { phase, mark };
+        }
+    }
+
+    timings[prev.phase] = internals.round(end - prev.mark);
+
+    return timings;
+};
+
+
+internals.round = function (value) {
+
+    return Math.round(Math.max(value, 0) * 1000) / 1000;
+};
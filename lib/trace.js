@@ -0,0 +1,108 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+
+const internals = {
+    traceparentRx: /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})(-.*)?$/,
+    b3Rx: /^([\da-f]{16}|[\da-f]{32})-([\da-f]{16})(?:-([01d]))?(?:-[\da-f]{16})?$/,
+    idRx: {
+        trace: /^(?:[\da-f]{16}|[\da-f]{32})$/,
+        span: /^[\da-f]{16}$/
+    }
+};
+
+
+internals.isZero = function (id) {
+
+    return /^0+$/.test(id);
+};
+
+
+internals.context = function (traceId, spanId, flags, traceState) {
+
+    traceId = traceId.padStart(32, '0');            // B3 allows 64-bit trace ids
+
+    if (internals.isZero(traceId) || internals.isZero(spanId)) {
+        return null;
+    }
+
+    return {
+        trace_id: traceId,
+        span_id: spanId,
+        trace_flags: flags,
+        ...(traceState ? { trace_state: traceState } : undefined)
+    };
+};
+
+
+internals.w3c = function (headers) {
+
+    const traceparent = headers.traceparent;
+    if (typeof traceparent !== 'string') {
+        return null;
+    }
+
+    const match = internals.traceparentRx.exec(traceparent.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, version, traceId, spanId, flags, extra] = match;
+    if (version === 'ff' ||
+        (version === '00' && extra !== undefined)) {
+
+        return null;
+    }
+
+    return internals.context(traceId, spanId, flags, headers.tracestate);
+};
+
+
+internals.b3 = function (headers) {
+
+    // Single header format
+
+    const single = headers.b3;
+    if (typeof single === 'string') {
+        const match = internals.b3Rx.exec(single.trim().toLowerCase());
+        if (match) {
+            const [, traceId, spanId, sampling] = match;
+            return internals.context(traceId, spanId, sampling === '1' || sampling === 'd' ? '01' : '00');
+        }
+    }
+
+    // Multi header format
+
+    const traceId = headers['x-b3-traceid']?.toLowerCase();
+    const spanId = headers['x-b3-spanid']?.toLowerCase();
+    if (internals.idRx.trace.test(traceId) &&
+        internals.idRx.span.test(spanId)) {
+
+        const sampled = headers['x-b3-flags'] === '1' || ['1', 'true'].includes(headers['x-b3-sampled']);
+        return internals.context(traceId, spanId, sampled ? '01' : '00');
+    }
+
+    return null;
+};
+
+
+exports.generate = function () {
+
+    return {
+        trace_id: Crypto.randomBytes(16).toString('hex'),
+        span_id: Crypto.randomBytes(8).toString('hex'),
+        trace_flags: '00'
+    };
+};
+
+
+exports.extract = function (headers, { w3c, b3, generate }) {
+
+    const context = (w3c && internals.w3c(headers)) || (b3 && internals.b3(headers));
+    if (context) {
+        return context;
+    }
+
+    return generate ? exports.generate() : undefined;
+};
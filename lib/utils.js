@@ -1,30 +1,71 @@
 'use strict';
 
-exports.safeJsonObject = function (obj, parentKey = '', stack = []) {
+const internals = {
+    previewBytes: 32
+};
+
+
+exports.safeJsonObject = function (obj, { limits, types, budget } = {}) {
+
+    const state = limits ? { ...limits, budget: budget ?? internals.budget(limits) } : undefined;
+    return internals.safeJsonObject(obj, '', [], state, types);
+};
+
+
+exports.entry = function (json) {
+
+    // Share the limits budget across all values of a log entry
+
+    return { ...json, budget: internals.budget(json.limits) };
+};
+
+
+exports.splitPath = function (path = '') {
+
+    // Separate the query string from a request path
+
+    const pos = path.indexOf('?');
+    return pos === -1 ? [path || undefined] : [path.slice(0, pos), path.slice(pos + 1)];
+};
+
+
+exports.isoTime = function (time) {
+
+    const date = new Date(time);
+    return time !== undefined && Number.isFinite(date.getTime()) ? date.toISOString() : undefined;
+};
+
+
+internals.safeJsonObject = function (obj, parentKey, stack, limits, types) {
 
     if (obj === undefined || obj === null) {
         return obj;
     }
 
     const origObj = obj;
-    if (typeof obj.toJSON === 'function') {
-        obj = obj.toJSON(parentKey);
-    }
+    obj = internals.convert(obj, parentKey, types);
 
     const type = typeof obj;
-    if (type === 'object') {
+    if (type === 'object' &&
+        obj !== null) {
+
         const orig = obj;
 
         if (stack.includes(origObj)) {
             return '[Circular]';
         }
 
+        if (stack.length >= limits?.depth) {
+            return '[Truncated: depth]';
+        }
+
         stack.push(origObj);
 
         if (Array.isArray(obj)) {
-            for (let i = 0; i < orig.length; ++i) {
+            let i = 0;
+            for (; i < orig.length && !internals.exhausted(limits, i, limits?.arrayLength); ++i) {
                 const value = orig[i];
-                const jsonValue = exports.safeJsonObject(value, i.toString(), stack);
+                const jsonValue = internals.safeJsonObject(value, i.toString(), stack, limits, types);
                 if (value !== jsonValue) {
                     if (obj === orig) {
                         obj = obj.slice();
@@ -33,28 +74,178 @@ exports.safeJsonObject = function (obj, parentKey = '', stack = []) {
                     obj[i] = jsonValue;
                 }
             }
+
+            if (i < orig.length) {
+                obj = obj.slice(0, i);
+                obj.push(`[Truncated: ${orig.length - i} items]`);
+            }
         }
         else {
-            const keys = Object.keys(orig);
+            const keys = [...Object.keys(orig), ...internals.symbolKeys(orig)];
+            const names = [];
 
             for (const key of keys) {
+                if (internals.exhausted(limits, names.length, limits?.keys)) {
+                    break;
+                }
+
+                // Symbol keys are logged using their description
+
+                const name = typeof key === 'symbol' ? key.toString() : key;
+                names.push(name);
+
+                if (limits) {
+                    limits.budget.remaining -= name.length;
+                }
+
                 const value = orig[key];
-                const jsonValue = exports.safeJsonObject(value, key, stack);
-                if (value !== jsonValue) {
+                const jsonValue = internals.safeJsonObject(value, name, stack, limits, types);
+                if (value !== jsonValue ||
+                    name !== key) {
+
                     if (obj === orig) {
                         obj = Object.assign(Object.create(null), orig);
                     }
 
-                    obj[key] = jsonValue;
+                    if (name !== key) {
+                        delete obj[key];
+                    }
+
+                    obj[name] = jsonValue;
+                }
+            }
+
+            const count = names.length;
+            if (count < keys.length) {
+                const truncated = Object.create(null);
+                for (const name of names) {
+                    truncated[name] = obj[name];
                 }
+
+                truncated['…'] = `[Truncated: ${keys.length - count} keys]`;
+                obj = truncated;
             }
         }
 
         stack.pop();
     }
-    else if (type === 'bigint') {
+    else if (limits) {
+
+        return internals.limitValue(obj, limits);
+    }
+
+    return obj;
+};
+
+
+internals.convert = function (obj, parentKey, types) {
+
+    // Application registered types take precedence
+
+    if (types) {
+        for (const { type, serialize } of types) {
+            if (obj instanceof type) {
+                return serialize(obj);
+            }
+        }
+    }
+
+    const type = typeof obj;
+    if (type === 'bigint') {
         return `${obj.toString()}n`;
     }
 
+    if (type === 'symbol') {
+        return obj.toString();
+    }
+
+    if (type === 'function') {
+        return `[Function: ${obj.name || '(anonymous)'}]`;
+    }
+
+    if (type !== 'object') {
+        return obj;
+    }
+
+    if (obj instanceof Date) {
+        return Number.isNaN(obj.getTime()) ? '[Invalid Date]' : obj.toISOString();
+    }
+
+    if (ArrayBuffer.isView(obj) ||
+        obj instanceof ArrayBuffer) {
+
+        return internals.binary(obj);
+    }
+
+    if (typeof obj.toJSON === 'function') {
+        return obj.toJSON(parentKey);
+    }
+
+    if (obj instanceof RegExp) {
+        return obj.toString();
+    }
+
+    if (obj instanceof Map) {
+        return { type: 'Map', size: obj.size, entries: [...obj] };
+    }
+
+    if (obj instanceof Set) {
+        return { type: 'Set', size: obj.size, values: [...obj] };
+    }
+
     return obj;
 };
+
+
+internals.binary = function (obj) {
+
+    const bytes = ArrayBuffer.isView(obj) ? Buffer.from(obj.buffer, obj.byteOffset, obj.byteLength) : Buffer.from(obj);
+    const preview = bytes.subarray(0, internals.previewBytes).toString('hex');
+
+    return {
+        type: obj.constructor.name,
+        length: obj.length ?? obj.byteLength,
+        hex: bytes.length > internals.previewBytes ? `${preview}…` : preview
+    };
+};
+
+
+internals.symbolKeys = function (obj) {
+
+    return Object.getOwnPropertySymbols(obj).filter((key) => Object.prototype.propertyIsEnumerable.call(obj, key));
+};
+
+
+internals.budget = function (limits) {
+
+    return { remaining: limits?.budget ?? Infinity };
+};
+
+
+internals.exhausted = function (limits, count, max) {
+
+    return limits !== undefined && (count >= max || limits.budget.remaining <= 0);
+};
+
+
+internals.limitValue = function (value, limits) {
+
+    if (typeof value !== 'string') {
+        if (typeof value === 'number' ||
+            typeof value === 'boolean') {
+
+            limits.budget.remaining -= String(value).length;
+        }
+
+        return value;
+    }
+
+    const max = Math.max(0, Math.min(limits.stringLength ?? Infinity, limits.budget.remaining));
+    if (value.length > max) {
+        limits.budget.remaining -= max;
+        return `${value.slice(0, max)}[Truncated: ${value.length - max} chars]`;
+    }
+
+    limits.budget.remaining -= value.length;
+    return value;
+};
@@ -2,7 +2,7 @@ import { Server, Request } from '@hapi/hapi';
 
 import * as Nipo from "../";
 import * as Lab from '@hapi/lab';
-import { Logger, Level } from 'pino';
+import { pino, Logger, Level } from 'pino';
 
 const { expect } = Lab.types;
 
@@ -19,8 +19,78 @@ await server.register({
         tagLevels: {
             test: 'debug'
         },
+        statusLevels: {
+            default: 'debug',
+            '4xx': 'info',
+            '500-503': 'warn'
+        },
+        slowThreshold: 1000,
+        headers: {
+            req: ['user-agent', 'x-*'],
+            res: { deny: 'date' },
+            redact: 'x-secret'
+        },
+        payload: {
+            req: true,
+            maxBytes: 2048,
+            redact: ['password']
+        },
+        timings: true,
+        format: 'gcp',
+        projectId: 'my-project',
+        summary: {
+            interval: 10000
+        },
+        health: {
+            interval: 5000,
+            thresholds: {
+                eventLoopDelay: 100,
+                heapUsed: 512 * 1024 * 1024
+            }
+        },
+        errors: {
+            structured: true,
+            maxDepth: 5,
+            maxFrames: 20,
+            collapse: true,
+            parseStack: false
+        },
+        limits: {
+            depth: 5,
+            keys: 50,
+            arrayLength: 100,
+            stringLength: 1000,
+            budget: 10000
+        },
+        types: [{
+            type: URLSearchParams,
+            serialize: (value: URLSearchParams) => value.toString()
+        }],
+        suppress: {
+            limit: 5,
+            window: 10000
+        },
+        sampling: {
+            rate: 0.1,
+            threshold: 1000
+        },
+        trace: {
+            b3: true,
+            generate: true
+        },
         pino: {
             level: 'info'
+        },
+        response: {
+            stream: process.stdout,
+            pino: {
+                redact: ['req.headers.authorization']
+            }
+        },
+        events: {
+            pino: {
+                level: 'debug'
+            }
         }
     }
 });
@@ -29,7 +99,11 @@ server.route({
     method: 'GET',
     path: '/',
     options: {
-        handler: () => 'ok',
+        handler: (request) => {
+            expect.type<Logger>(request.logger);
+
+            return 'ok';
+        },
         plugins: {
             nipo: {
                 req: {
@@ -37,12 +111,36 @@ server.route({
                 },
                 res: {
                     headers: 'response.headers'
+                },
+                timings: false,
+                sampleRate: 0.5,
+                payload: {
+                    res: true
+                },
+                level: 'debug',
+                statusLevels: {
+                    404: 'info'
+                },
+                tagLevels: {
+                    test: 'warn'
                 }
             }
         }
     }
 });
 
+await new Server().register({
+    plugin: Nipo,
+    options: {
+        logger: pino({ level: 'warn' }),
+        events: {
+            pino: {
+                level: 'debug'
+            }
+        }
+    }
+});
+
 expect.type<Logger>(server.plugins.nipo.eventLogger);
 expect.type<Logger>(server.plugins.nipo.responseLogger);
 expect.type<Map<string, Level>>(server.plugins.nipo.tagLevels);
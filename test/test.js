@@ -1,16 +1,29 @@
 'use strict';
 
+/* global AggregateError */
+
+const Fs = require('fs');
 const Net = require('net');
+const Os = require('os');
+const Path = require('path');
 const Stream = require('stream');
+const Zlib = require('zlib');
 
 const Boom = require('@hapi/boom');
 const Code = require('@hapi/code');
 const Hapi = require('@hapi/hapi');
+const Hoek = require('@hapi/hoek');
 const Joi = require('joi');
 const Lab = require('@hapi/lab');
 const Nipo = require('..');
+const Pino = require('pino');
 
+const Ecs = require('../lib/ecs');
+const Gcp = require('../lib/gcp');
+const Otel = require('../lib/otel');
 const Serialize = require('../lib/serialize');
+const Summary = require('../lib/summary');
+const Utils = require('../lib/utils');
 
 
 const { describe, it } = exports.lab = Lab.script();
@@ -103,6 +116,186 @@ describe('Nipo', () => {
         expect(JSON.parse(stderr.shift())).to.contain({ level: 30, protocol: 'http', msg: 'server-stopped' });
     });
 
+    it('supports separate response and event logger options', async () => {
+
+        const collect = (target) => {
+
+            return new Stream.Writable({
+                write(chunk, encoding, callback) {
+
+                    target.push(JSON.parse(chunk.toString()));
+                    callback();
+                }
+            });
+        };
+
+        const shared = [];
+        const responses = [];
+        const events = [];
+
+        const server = Hapi.server({ debug: false });
+        await server.register({
+            plugin: Nipo,
+            options: {
+                stream: collect(shared),
+                pino: { level: 'warn', messageKey: 'message' },
+                response: {
+                    stream: collect(responses),
+                    pino: { level: 'info', redact: ['req.path'] }
+                },
+                events: {
+                    pino: { level: 'debug' }
+                }
+            }
+        });
+
+        server.route({ method: 'GET', path: '/', handler: (request) => {
+
+            request.log(['test'], 'hello');
+            return 'ok';
+        } });
+
+        await server.inject('/');
+
+        expect(server.plugins.nipo.responseLogger.level).to.equal('info');
+        expect(server.plugins.nipo.eventLogger.level).to.equal('debug');
+
+        expect(responses).to.have.length(1);
+        expect(responses[0]).to.contain({ level: 30, message: 'request-response' });
+        expect(responses[0].req.path).to.equal('[Redacted]');
+
+        expect(shared).to.have.length(1);
+        expect(shared[0]).to.contain({ level: 30, tags: ['test'], data: 'hello', message: 'request-app' });
+
+        expect(events).to.have.length(0);
+    });
+
+    it('fails registration with invalid logger options', async () => {
+
+        const server = Hapi.server({ debug: false });
+        await expect(server.register({ plugin: Nipo, options: { events: { pino: { level: 'loud' } } } })).to.reject(/^"events.pino.level" must be one of/);
+    });
+
+    it('supports an existing pino logger', async () => {
+
+        const log = [];
+        const logger = Pino({
+            level: 'info',
+            mixin: () => ({ app: 'test' }),
+            serializers: {
+                custom: (value) => `custom:${value}`
+            }
+        }, new Stream.Writable({
+            write(chunk, encoding, callback) {
+
+                log.push(JSON.parse(chunk.toString()));
+                callback();
+            }
+        }));
+
+        const server = Hapi.server({ debug: false });
+        await server.register({ plugin: Nipo, options: { logger, response: { pino: { level: 'warn' } } } });
+
+        const { responseLogger, eventLogger } = server.plugins.nipo;
+        expect(Object.getPrototypeOf(eventLogger)).to.shallow.equal(logger);
+        expect(Object.getPrototypeOf(responseLogger)).to.shallow.equal(logger);
+        expect(responseLogger.level).to.equal('warn');
+        expect(eventLogger.level).to.equal('info');
+
+        server.route({ method: 'GET', path: '/', handler: (request) => {
+
+            request.log(['test'], { custom: 1 });
+            request.log(['error'], new Boom.Boom('fail'));
+            return 'ok';
+        } });
+
+        await server.inject('/');
+
+        expect(log).to.have.length(2);
+        expect(log[0]).to.contain({ app: 'test', tags: ['test'], data: { custom: 1 }, msg: 'request-app' });
+        expect(log[1]).to.contain({ level: 50, app: 'test', msg: 'request-app' });
+        expect(log[1].err.type).to.equal('Boom');
+        eventLogger.info({ custom: 2 });
+        expect(log[2].custom).to.equal('custom:2');
+
+        // Level changes on the derived logger enable events
+
+        const internal = () => log.filter((entry) => entry.msg === 'request-internal');
+
+        logger.level = 'debug';
+        await server.inject('/none');
+        expect(internal()).to.have.length(0);
+
+        eventLogger.level = 'debug';
+        await server.inject('/none');
+        expect(internal()).to.have.length(1);
+    });
+
+    it('fails registration with an existing logger and logger options', async () => {
+
+        const register = (options) => Hapi.server({ debug: false }).register({ plugin: Nipo, options: { logger: Pino(), ...options } });
+
+        await expect(register({ pino: { level: 'info' } })).to.reject('"pino" is not allowed');
+        await expect(register({ events: { stream: process.stdout } })).to.reject('"events.stream" is not allowed');
+        await expect(register({ format: 'ecs' })).to.reject('"format" must be [json]');
+        await expect(register({ logger: { child: () => null } })).to.reject('"logger" contains an invalid value');
+        await expect(register({ logger: { isLevelEnabled: () => true } })).to.reject('"logger" contains an invalid value');
+    });
+
+    it('logs requests interrupted by stop', async () => {
+
+        const { server, log } = await prepareServer({ level: 'info' });
+
+        let handling = 0;
+        let handled;
+        const started = new Promise((resolve) => {
+
+            handled = resolve;
+        });
+
+        server.route({ method: 'GET', path: '/slow/{id}', handler: async (request) => {
+
+            if (++handling === 2) {
+                handled();
+            }
+
+            await Hoek.wait(+request.params.id);
+            return 'ok';
+        } });
+
+        await server.start();
+
+        const requests = [];
+        for (const delay of [1000, 10]) {
+            requests.push(new Promise((resolve) => {
+
+                const socket = new Net.Socket().connect(server.info.port, '127.0.0.1');
+                socket.on('close', resolve);
+                socket.resume();
+                socket.on('connect', () => {
+
+                    socket.write(`GET /slow/${delay} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+                });
+            }));
+        }
+
+        await started;
+        await server.stop({ timeout: 50 });
+        await Promise.all(requests);
+
+        const interrupted = log.filter((line) => line.msg === 'request-interrupted');
+        expect(interrupted).to.have.length(1);
+        expect(interrupted[0]).to.only.contain(['level', 'time', 'request', 'method', 'path', 'route', 'phase', 'elapsed', 'msg']);
+        expect(interrupted[0].level).to.equal(40);
+        expect(interrupted[0].path).to.equal('/slow/1000');
+        expect(interrupted[0].route).to.equal({ path: '/slow/{id}' });
+        expect(interrupted[0].phase).to.equal('handler');
+        expect(interrupted[0].elapsed).to.be.at.least(40);
+
+        const stopped = log.find((line) => line.msg === 'server-stopped');
+        expect(stopped.interrupted).to.equal(1);
+    });
+
     describe('response', () => {
 
         it('is logged with relevant information', async () => {
@@ -122,10 +315,10 @@ describe('Nipo', () => {
             expect(line.level).to.equal(30);
             expect(line.time).to.be.at.least(start);
             expect(line.time).to.be.at.most(Date.now());
-            expect(line.req).to.equal({ id: line.req.id, method: 'get', path: '/', clientIp: '127.0.0.1' });
+            expect(line.req).to.equal({ id: line.req.id, method: 'get', path: '/', clientIp: '127.0.0.1', bytes: 0 });
             expect(line.req.id).to.exist(); // TODO:
             expect(line.route).to.equal({ path: '/' });
-            expect(line.res).to.equal({ statusCode: 200, delay: line.res.delay });
+            expect(line.res).to.equal({ statusCode: 200, bytes: 2, delay: line.res.delay });
             expect(line.res.delay).to.be.at.least(0);
             expect(line.msg).to.equal('request-response');
         });
@@ -150,6 +343,290 @@ describe('Nipo', () => {
             expect(line.msg).to.equal('request-response');
         });
 
+        it('is logged with payload byte counts', async () => {
+
+            const { server, log } = await prepareServer();
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload });
+            server.route({ method: 'GET', path: '/stream', handler: () => {
+
+                return Stream.Readable.from(['a'.repeat(1000), 'b'.repeat(1000)], { objectMode: false });
+            } });
+
+            const res1 = await server.inject({ method: 'POST', url: '/', payload: { hello: 'world' } });
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject({ method: 'GET', url: '/stream' });
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject({ method: 'GET', url: '/stream', headers: { 'accept-encoding': 'gzip' } });
+            expect(res3.statusCode).to.equal(200);
+            expect(res3.headers['content-encoding']).to.equal('gzip');
+
+            expect(log).to.have.length(3);
+
+            const line1 = log.shift();
+            expect(line1.req.bytes).to.equal(17);
+            expect(line1.res.bytes).to.equal(17);
+
+            const line2 = log.shift();
+            expect(line2.req.bytes).to.equal(0);
+            expect(line2.res.bytes).to.equal(2000);
+
+            const line3 = log.shift();
+            expect(line3.req.bytes).to.equal(0);
+            expect(line3.res.bytes).to.equal(res3.rawPayload.length);
+            expect(line3.res.bytes).to.be.below(2000);
+        });
+
+        it('is logged with compressed request payload byte count', async () => {
+
+            const { server, log } = await prepareServer();
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload });
+
+            const payload = Zlib.gzipSync(JSON.stringify({ hello: 'world'.repeat(100) }));
+            const res = await server.inject({ method: 'POST', url: '/', payload, headers: { 'content-type': 'application/json', 'content-encoding': 'gzip' } });
+            expect(res.statusCode).to.equal(200);
+            expect(res.result).to.equal({ hello: 'world'.repeat(100) });
+
+            expect(log).to.have.length(1);
+            expect(log[0].req.bytes).to.equal(payload.length);
+        });
+
+        it('is logged with request payload byte count from a socket', async () => {
+
+            const { server, log } = await prepareServer();
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload });
+            await server.start();
+
+            const payload = Zlib.gzipSync('x'.repeat(5000));
+
+            try {
+                const socket = Net.connect(server.info.port);
+                socket.write(`POST / HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\nContent-Type: text/plain\r\nContent-Encoding: gzip\r\nContent-Length: ${payload.length}\r\n\r\n${payload.toString('latin1')}`, 'latin1');
+                socket.resume();
+                await new Promise((resolve) => socket.once('close', resolve));
+            }
+            finally {
+                await server.stop();
+            }
+
+            const line = log.find((entry) => entry.msg === 'request-response');
+            expect(line.res.statusCode).to.equal(200);
+            expect(line.req.bytes).to.equal(payload.length);
+        });
+
+        it('is logged with bytes sent before abort', async () => {
+
+            const { server, log } = await prepareServer();
+
+            let aborted;
+            const closed = new Promise((resolve) => {
+
+                aborted = resolve;
+            });
+
+            server.route({ method: 'GET', path: '/', handler: () => {
+
+                let sent = false;
+                return new Stream.Readable({
+                    read() {
+
+                        if (!sent) {
+                            sent = true;
+                            this.push('a'.repeat(1000));
+                            setTimeout(aborted, 10);
+                        }
+                    }
+                });
+            } });
+
+            await server.start();
+
+            await new Promise((resolve) => {
+
+                const socket = new Net.Socket().connect(server.info.port, '127.0.0.1');
+                socket.on('close', resolve);
+                socket.resume();
+                socket.on('connect', () => {
+
+                    socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+                    closed.then(() => socket.destroy());
+                });
+            });
+
+            await server.stop();
+
+            const line = log.find((entry) => entry.msg === 'request-response');
+            expect(line.res.bytes).to.equal(1000);
+        });
+
+        it('is logged with lifecycle timings', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { timings: true });
+
+            server.auth.scheme('test-scheme', () => {
+
+                return {
+                    authenticate(request, h) {
+
+                        return h.authenticated({ credentials: { user: 'me' } });
+                    }
+                };
+            });
+            server.auth.strategy('test', 'test-scheme');
+
+            server.route({ method: 'POST', path: '/', handler: function (request) {
+
+                expect(this).to.equal({ bound: true });
+                return request.pre.value;
+            }, config: {
+                auth: 'test',
+                bind: { bound: true },
+                pre: [{ method: (request) => request.payload, assign: 'value' }]
+            } });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: { plugins: { nipo: { timings: false } } } });
+
+            await server.initialize();
+            await server.stop();
+            await server.initialize();
+            log.splice(0);
+
+            const res1 = await server.inject({ method: 'POST', url: '/', payload: { hello: 'world' } });
+            expect(res1.result).to.equal({ hello: 'world' });
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject('/');
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject('/missing');
+            expect(res3.statusCode).to.equal(404);
+
+            expect(log).to.have.length(3);
+
+            const line1 = log.shift();
+            expect(Object.keys(line1.res.timings)).to.equal(['onRequest', 'routing', 'auth', 'payload', 'validation', 'preHandlers', 'handler', 'postHandler', 'onPreResponse', 'transmission']);
+            for (const value of Object.values(line1.res.timings)) {
+                expect(value).to.be.a.number();
+                expect(value).to.be.at.least(0);
+            }
+
+            const line2 = log.shift();
+            expect(line2.res.timings).to.not.exist();
+
+            const line3 = log.shift();
+            expect(line3.res.timings).to.not.exist();
+        });
+
+        it('is logged with route enabled lifecycle timings', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' });
+
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: { plugins: { nipo: { timings: true } } } });
+            server.route({ method: 'GET', path: '/fail', handler: () => 'ok', config: {
+                plugins: { nipo: { timings: true } },
+                validate: { query: Joi.object({ a: Joi.number() }) }
+            } });
+
+            const res1 = await server.inject('/');
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject('/fail?a=b');
+            expect(res2.statusCode).to.equal(400);
+
+            const res3 = await server.inject('/missing');
+            expect(res3.statusCode).to.equal(404);
+
+            expect(log).to.have.length(3);
+
+            const line1 = log.shift();
+            expect(line1.res.timings).to.only.contain(['onRequest', 'auth', 'validation', 'preHandlers', 'handler', 'postHandler', 'onPreResponse', 'transmission']);
+
+            const line2 = log.shift();
+            expect(line2.res.timings).to.only.contain(['onRequest', 'auth', 'validation', 'onPreResponse', 'transmission']);
+
+            const line3 = log.shift();
+            expect(line3.res.timings).to.not.exist();
+
+            await server.initialize();
+
+            const res4 = await server.inject('/');
+            expect(res4.statusCode).to.equal(200);
+
+            const line4 = log.pop();
+            expect(line4.res.timings).to.only.contain(['onRequest', 'routing', 'auth', 'validation', 'preHandlers', 'handler', 'postHandler', 'onPreResponse', 'transmission']);
+        });
+
+        it('is logged with lifecycle timings for routes added before registration or after start', async () => {
+
+            const log = [];
+            const stream = new Stream.Writable({
+                write(chunk, encoding, callback) {
+
+                    log.push(JSON.parse(chunk.toString()));
+                    callback();
+                }
+            });
+
+            const server = Hapi.server({ debug: false });
+            server.route({ method: 'GET', path: '/before', handler: () => 'ok' });
+            await server.register({ plugin: Nipo, options: { stream, timings: true } });
+            await server.initialize();
+
+            server.route({ method: 'GET', path: '/after', handler: () => 'ok' });
+
+            const res1 = await server.inject('/before');
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject('/after');
+            expect(res2.statusCode).to.equal(200);
+
+            expect(log).to.have.length(2);
+            for (const line of log) {
+                expect(line.res.timings).to.only.contain(['onRequest', 'routing', 'auth', 'validation', 'preHandlers', 'handler', 'postHandler', 'onPreResponse', 'transmission']);
+            }
+        });
+
+        it('only taps request payloads when needed', async () => {
+
+            const { server } = await prepareServer();
+
+            const handler = (request) => request.events.hasListeners('peek');
+            server.route({ method: 'POST', path: '/', handler });
+            server.route({ method: 'POST', path: '/timed', handler, config: { plugins: { nipo: { timings: true } } } });
+            server.route({ method: 'POST', path: '/capture', handler, config: { plugins: { nipo: { payload: { req: true } } } } });
+
+            const res1 = await server.inject({ method: 'POST', url: '/', payload: { a: 1 } });
+            expect(res1.result).to.be.false();
+
+            const res2 = await server.inject({ method: 'POST', url: '/timed', payload: { a: 1 } });
+            expect(res2.result).to.be.true();
+
+            const res3 = await server.inject({ method: 'POST', url: '/capture', payload: { a: 1 } });
+            expect(res3.result).to.be.true();
+        });
+
+        it('ignores late lifecycle timing marks', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { timings: true });
+
+            server.route({ method: 'POST', path: '/', handler: async (request) => {
+
+                let length = 0;
+                for await (const chunk of request.payload) {
+                    length += chunk.length;
+                }
+
+                return { length };
+            }, config: { payload: { output: 'stream', parse: false } } });
+
+            const res = await server.inject({ method: 'POST', url: '/', payload: 'hello' });
+            expect(res.statusCode).to.equal(200);
+            expect(res.result).to.equal({ length: 5 });
+
+            expect(log).to.have.length(1);
+            expect(log.shift().res.timings).to.not.contain('payload');
+        });
+
         it('is logged with route realm', async () => {
 
             const { server, log } = await prepareServer();
@@ -229,25 +706,184 @@ describe('Nipo', () => {
             expect(line2.msg).to.equal('request-response');
         });
 
-        it('is logged with auth information', async () => {
+        it('handles statusLevels option', async () => {
 
-            const { server, log } = await prepareServer({ level: 'info' });
+            const { server, log } = await prepareServer({ level: 'trace' }, {}, {
+                statusLevels: {
+                    default: 'debug',
+                    404: 'info',
+                    '401-403': 'warn',
+                    '5xx': 'fatal',
+                    '503': 'warn'
+                }
+            });
+            server.route({ method: 'GET', path: '/status/{code}', handler: (request, h) => h.response().code(+request.params.code) });
+            server.route({ method: 'GET', path: '/route/{code}', handler: (request, h) => h.response().code(+request.params.code), config: {
+                plugins: { nipo: { statusLevels: { '2xx': 'trace', '500-599': 'error' } } }
+            } });
 
-            server.auth.scheme('test-scheme', () => {
+            const codes = [200, 302, 400, 401, 403, 404, 500, 503];
+            for (const code of codes) {
+                const res = await server.inject(`/status/${code}`);
+                expect(res.statusCode).to.equal(code);
+            }
 
-                return {
-                    authenticate(request, h) {
+            for (const code of [201, 404, 503]) {
+                const res = await server.inject(`/route/${code}`);
+                expect(res.statusCode).to.equal(code);
+            }
 
-                        const authorization = request.headers.authorization;
-                        if (!authorization) {
-                            throw Boom.unauthorized(null, 'Go away');
-                        }
+            const levels = log.filter((line) => line.msg === 'request-response').map((line) => line.level);
+            expect(levels).to.equal([20, 20, 40, 40, 40, 30, 60, 40, 10, 30, 50]);
+        });
 
-                        return h.authenticated({ credentials: { user: authorization } });
-                    }
-                };
-            });
-            server.auth.strategy('test', 'test-scheme');
+        it('fails on invalid statusLevels option', async () => {
+
+            await expect(prepareServer({}, {}, { statusLevels: { '2xx': 'loud' } })).to.reject(/"statusLevels.2xx" must be one of/);
+            await expect(prepareServer({}, {}, { statusLevels: { '6xx': 'info' } })).to.reject(/"statusLevels.6xx" is not allowed/);
+            await expect(prepareServer({}, {}, { statusLevels: { '503-500': 'info' } })).to.reject(/invalid status code range "503-500"/);
+        });
+
+        it('handles route logging policy', async () => {
+
+            const { server, log } = await prepareServer({ level: 'trace' });
+            server.route({ method: 'GET', path: '/off', handler: () => Boom.badRequest(), config: { plugins: { nipo: { log: false } } } });
+            server.route({ method: 'GET', path: '/fixed', handler: () => Boom.badRequest(), config: { plugins: { nipo: { level: 'debug' } } } });
+            server.route({ method: 'GET', path: '/status/{code}', handler: (request, h) => h.response().code(+request.params.code), config: {
+                plugins: { nipo: { statusLevels: { 201: 'trace', 404: 'info' } } }
+            } });
+
+            const res1 = await server.inject('/off');
+            expect(res1.statusCode).to.equal(400);
+
+            expect(log).to.have.length(2);
+            expect(log.shift().tags).to.equal(['handler', 'error']);
+            expect(log.shift().tags).to.equal(['request', 'response', 'error']);
+
+            const res2 = await server.inject('/fixed');
+            expect(res2.statusCode).to.equal(400);
+
+            const line1 = log.pop();
+            expect(line1.level).to.equal(20);
+            expect(line1.msg).to.equal('request-response');
+            log.splice(0);
+
+            for (const code of [201, 404, 202, 500]) {
+                const res = await server.inject(`/status/${code}`);
+                expect(res.statusCode).to.equal(code);
+            }
+
+            const levels = log.filter((line) => line.msg === 'request-response').map((line) => line.level);
+            expect(levels).to.equal([10, 30, 30, 50]);
+        });
+
+        it('prefers logResponse level over route logging policy', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, {
+                logResponse: () => 'fatal'
+            });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: { plugins: { nipo: { level: 'debug' } } } });
+            server.route({ method: 'GET', path: '/off', handler: () => 'ok', config: { plugins: { nipo: { log: false } } } });
+
+            await server.inject('/');
+            await server.inject('/off');
+
+            expect(log).to.have.length(1);
+            expect(log.shift()).to.contain({ level: 60, msg: 'request-response' });
+        });
+
+        it('handles sampling option', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, {
+                sampling: { rate: 0, threshold: 50 }
+            });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+            server.route({ method: 'GET', path: '/slow', handler: async () => {
+
+                await new Promise((resolve) => setTimeout(resolve, 60));
+                return 'ok';
+            } });
+            server.route({ method: 'GET', path: '/fail', handler: () => {
+
+                throw new Error('fail');
+            } });
+
+            const res1 = await server.inject('/');
+            expect(res1.statusCode).to.equal(200);
+            expect(log).to.have.length(0);
+
+            const res2 = await server.inject('/missing');
+            expect(res2.statusCode).to.equal(404);
+
+            const res3 = await server.inject('/fail');
+            expect(res3.statusCode).to.equal(500);
+
+            const res4 = await server.inject('/slow');
+            expect(res4.statusCode).to.equal(200);
+
+            const responses = log.filter((line) => line.msg === 'request-response');
+            expect(responses).to.have.length(3);
+            expect(responses[0].res).to.contain({ statusCode: 404, sampleRate: 1 });
+            expect(responses[1].res).to.contain({ statusCode: 500, sampleRate: 1 });
+            expect(responses[2].res).to.contain({ statusCode: 200, sampleRate: 1 });
+        });
+
+        it('samples responses deterministically by request id', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, {
+                sampling: { rate: 0.5 }
+            });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+            server.route({ method: 'GET', path: '/always', handler: () => 'ok', config: { plugins: { nipo: { sampleRate: 1 } } } });
+            server.route({ method: 'GET', path: '/never', handler: () => 'ok', config: { plugins: { nipo: { sampleRate: 0 } } } });
+
+            const ids = new Set();
+            server.events.on('response', (request) => {
+
+                if (request.path === '/') {
+                    ids.add(request.info.id);
+                }
+            });
+
+            for (let i = 0; i < 100; ++i) {
+                await server.inject('/');
+            }
+
+            const sampled = log.splice(0);
+            expect(sampled.length).to.be.within(20, 80);
+            for (const line of sampled) {
+                expect(line.res.sampleRate).to.equal(0.5);
+                expect(ids.has(line.req.id)).to.be.true();
+            }
+
+            await server.inject('/always');
+            await server.inject('/never');
+
+            expect(log).to.have.length(1);
+            const line = log.shift();
+            expect(line.req.path).to.equal('/always');
+            expect(line.res).to.not.contain('sampleRate');
+        });
+
+        it('is logged with auth information', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' });
+
+            server.auth.scheme('test-scheme', () => {
+
+                return {
+                    authenticate(request, h) {
+
+                        const authorization = request.headers.authorization;
+                        if (!authorization) {
+                            throw Boom.unauthorized(null, 'Go away');
+                        }
+
+                        return h.authenticated({ credentials: { user: authorization } });
+                    }
+                };
+            });
+            server.auth.strategy('test', 'test-scheme');
 
             server.route({ method: 'GET', path: '/', handler: () => 'ok', config: { auth: 'test' } });
             server.route({ method: 'GET', path: '/try', handler: () => 'ok', config: { auth: { strategy: 'test', mode: 'try' } } });
@@ -370,8 +1006,9 @@ describe('Nipo', () => {
             expect(log).to.have.length(1);
             const line1 = log.shift();
 
-            expect(line1).to.only.contain(['level', 'time', 'server', 'type', 'message', 'stack', 'msg']);
+            expect(line1).to.only.contain(['level', 'time', 'server', 'type', 'message', 'stack', 'fingerprint', 'msg']);
             expect(line1.level).to.equal(60);
+            expect(line1.fingerprint).to.match(/^[\da-f]{16}$/);
             expect(line1.message).to.equal('nipo.responseLogger[logLevel] is not a function');
             expect(line1.msg).to.equal('nipo-error');
 
@@ -386,12 +1023,356 @@ describe('Nipo', () => {
             expect(log).to.have.length(1);
             const line2 = log.shift();
 
-            expect(line2).to.only.contain(['level', 'time', 'server', 'type', 'message', 'stack', 'msg']);
+            expect(line2).to.only.contain(['level', 'time', 'server', 'type', 'message', 'stack', 'fingerprint', 'msg']);
             expect(line2.level).to.equal(60);
             expect(line2.message).to.equal('Unknown throw during: onResponseHandler');
             expect(line2.msg).to.equal('nipo-error');
         });
 
+        it('is logged with W3C trace context', async () => {
+
+            const { server, log } = await prepareServer({ level: 'trace' });
+            server.route({ method: 'GET', path: '/', handler(request) {
+
+                request.log(['my', 'handler'], 'hello');
+                request.logger.info('hi');
+                throw Boom.badRequest();
+            } });
+
+            const res = await server.inject({ url: '/', headers: {
+                traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+                tracestate: 'congo=t61rcWkgMzE'
+            } });
+            expect(res.statusCode).to.equal(400);
+
+            const trace = {
+                trace_id: '0af7651916cd43dd8448eb211c80319c',
+                span_id: 'b7ad6b7169203331',
+                trace_flags: '01',
+                trace_state: 'congo=t61rcWkgMzE'
+            };
+
+            const messages = log.map((line) => line.msg);
+            expect(messages).to.equal(['request-app', 'hi', 'request-internal', 'request-internal', 'request-response']);
+
+            for (const line of log.slice(0, -1)) {
+                expect(line).to.contain(trace);
+            }
+
+            expect(log.pop().req).to.contain(trace);
+        });
+
+        it('ignores invalid W3C trace context', async () => {
+
+            const { server, log } = await prepareServer();
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+
+            const invalid = [
+                '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01-extra',
+                'ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+                '00-00000000000000000000000000000000-b7ad6b7169203331-01',
+                '00-0af7651916cd43dd8448eb211c80319c-0000000000000000-01',
+                '00-0AF7651916CD43DD8448EB211C80319C-b7ad6b7169203331-01',
+                'garbage'
+            ];
+
+            for (const traceparent of invalid) {
+                const res = await server.inject({ url: '/', headers: { traceparent } });
+                expect(res.statusCode).to.equal(200);
+            }
+
+            const res = await server.inject({ url: '/', headers: { traceparent: '01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00-future' } });
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(invalid.length + 1);
+            for (let i = 0; i < invalid.length; ++i) {
+                expect(log.shift().req).to.not.contain('trace_id');
+            }
+
+            expect(log.shift().req).to.contain({ trace_id: '0af7651916cd43dd8448eb211c80319c', span_id: 'b7ad6b7169203331', trace_flags: '00' });
+        });
+
+        it('is logged with B3 trace context', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { trace: { b3: true } });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+
+            const requests = [
+                { b3: '80f198ee56343ba864fe8b2a57d3eff7-e457b5a2e4d86bd1-1-05e3ac9a4f6e3b90' },
+                { b3: 'a3ce929d0e0e4736-00f067aa0ba902b7-d' },
+                { b3: '80f198ee56343ba864fe8b2a57d3eff7-e457b5a2e4d86bd1' },
+                { 'x-b3-traceid': '80F198EE56343BA864FE8B2A57D3EFF7', 'x-b3-spanid': 'e457b5a2e4d86bd1', 'x-b3-sampled': '1' },
+                { 'x-b3-traceid': 'a3ce929d0e0e4736', 'x-b3-spanid': '00f067aa0ba902b7', 'x-b3-flags': '1' },
+                { 'x-b3-traceid': 'a3ce929d0e0e4736', 'x-b3-spanid': '00f067aa0ba902b7' },
+                { b3: '1' },
+                { 'x-b3-traceid': 'a3ce929d0e0e4736' }
+            ];
+
+            for (const headers of requests) {
+                const res = await server.inject({ url: '/', headers });
+                expect(res.statusCode).to.equal(200);
+            }
+
+            const contexts = log.map((line) => ({ trace_id: line.req.trace_id, span_id: line.req.span_id, trace_flags: line.req.trace_flags }));
+            expect(contexts).to.equal([
+                { trace_id: '80f198ee56343ba864fe8b2a57d3eff7', span_id: 'e457b5a2e4d86bd1', trace_flags: '01' },
+                { trace_id: '0000000000000000a3ce929d0e0e4736', span_id: '00f067aa0ba902b7', trace_flags: '01' },
+                { trace_id: '80f198ee56343ba864fe8b2a57d3eff7', span_id: 'e457b5a2e4d86bd1', trace_flags: '00' },
+                { trace_id: '80f198ee56343ba864fe8b2a57d3eff7', span_id: 'e457b5a2e4d86bd1', trace_flags: '01' },
+                { trace_id: '0000000000000000a3ce929d0e0e4736', span_id: '00f067aa0ba902b7', trace_flags: '01' },
+                { trace_id: '0000000000000000a3ce929d0e0e4736', span_id: '00f067aa0ba902b7', trace_flags: '00' },
+                { trace_id: undefined, span_id: undefined, trace_flags: undefined },
+                { trace_id: undefined, span_id: undefined, trace_flags: undefined }
+            ]);
+        });
+
+        it('prefers W3C trace context over B3', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { trace: { b3: true } });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+
+            const res = await server.inject({ url: '/', headers: {
+                traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+                b3: '80f198ee56343ba864fe8b2a57d3eff7-e457b5a2e4d86bd1-1'
+            } });
+            expect(res.statusCode).to.equal(200);
+
+            expect(log.shift().req.trace_id).to.equal('0af7651916cd43dd8448eb211c80319c');
+        });
+
+        it('is logged with generated trace context', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { trace: { w3c: false, generate: true } });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+
+            const res1 = await server.inject('/');
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject({ url: '/', headers: { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' } });
+            expect(res2.statusCode).to.equal(200);
+
+            expect(log).to.have.length(2);
+            const line1 = log.shift();
+            expect(line1.req.trace_id).to.match(/^[\da-f]{32}$/);
+            expect(line1.req.span_id).to.match(/^[\da-f]{16}$/);
+            expect(line1.req.trace_flags).to.equal('00');
+
+            const line2 = log.shift();
+            expect(line2.req.trace_id).to.match(/^[\da-f]{32}$/);
+            expect(line2.req.trace_id).to.not.equal(line1.req.trace_id);
+            expect(line2.req.trace_id).to.not.equal('0af7651916cd43dd8448eb211c80319c');
+        });
+
+        it('is logged with captured headers', async () => {
+
+            const { server, log } = await prepareServer({}, {}, {
+                headers: {
+                    req: ['User-Agent', 'x-*', 'authorization', 'cookie'],
+                    res: { deny: ['date', 'x-internal-*'] },
+                    redact: ['x-secret']
+                }
+            });
+            server.route({ method: 'GET', path: '/', handler: (request, h) => {
+
+                return h.response('ok')
+                    .header('X-Custom', 'yes')
+                    .header('X-Internal-Id', '42')
+                    .state('session', 'abc');
+            } });
+
+            const res = await server.inject({ url: '/', headers: {
+                authorization: 'Bearer token',
+                cookie: 'a=b',
+                'x-request': 'hello',
+                'x-secret': 'hidden',
+                referer: 'http://example.com/'
+            } });
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(1);
+            const line = log.shift();
+
+            expect(line.req.headers).to.equal({
+                'user-agent': 'shot',
+                'x-request': 'hello',
+                'x-secret': '[Redacted]',
+                authorization: '[Redacted]',
+                cookie: '[Redacted]'
+            });
+
+            expect(line.res.headers).to.equal({
+                'x-custom': 'yes',
+                'set-cookie': '[Redacted]',
+                'content-type': 'text/html; charset=utf-8',
+                'cache-control': 'no-cache',
+                'content-length': 2,
+                'accept-ranges': 'bytes'
+            });
+        });
+
+        it('is logged with route captured headers', async () => {
+
+            const { server, log } = await prepareServer({}, {}, {
+                headers: {
+                    req: ['user-agent'],
+                    res: ['content-type'],
+                    redact: 'user-agent'
+                }
+            });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: {
+                plugins: { nipo: { headers: { req: { allow: 'x-*', deny: 'x-private' }, redact: ['x-secret'] } } }
+            } });
+            server.route({ method: 'GET', path: '/none', handler: () => 'ok', config: {
+                plugins: { nipo: { headers: { req: [], res: [] } } }
+            } });
+
+            const res1 = await server.inject({ url: '/', headers: { 'x-public': 'a', 'x-private': 'b', 'x-secret': 'c' } });
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject({ url: '/none', headers: { 'x-public': 'a' } });
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject('/missing');
+            expect(res3.statusCode).to.equal(404);
+
+            const [line1, line2, line3] = log.filter((line) => line.msg === 'request-response');
+
+            expect(line1.req.headers).to.equal({ 'x-public': 'a', 'x-secret': '[Redacted]' });
+            expect(line1.res.headers).to.equal({ 'content-type': 'text/html; charset=utf-8' });
+
+            expect(line2.req.headers).to.not.exist();
+            expect(line2.res.headers).to.not.exist();
+
+            expect(line3.req.headers).to.equal({ 'user-agent': '[Redacted]' });
+            expect(line3.res.headers).to.equal({ 'content-type': 'application/json; charset=utf-8' });
+        });
+
+        it('is logged with route captured headers after a restart', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: {
+                plugins: { nipo: { headers: { req: { allow: 'x-*' }, redact: ['x-secret'] } } }
+            } });
+
+            await server.start();
+            await server.stop();
+            await server.start();
+
+            const res = await server.inject({ url: '/', headers: { 'x-public': 'a', 'x-secret': 'b' } });
+            expect(res.statusCode).to.equal(200);
+
+            await server.stop();
+
+            const line = log.find((entry) => entry.msg === 'request-response');
+            expect(line.req.headers).to.equal({ 'x-public': 'a', 'x-secret': '[Redacted]' });
+        });
+
+        it('is logged with route captured payloads after a restart', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' });
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload, config: {
+                plugins: { nipo: { payload: { req: true, redact: ['password'] } } }
+            } });
+
+            await server.start();
+            await server.stop();
+            await server.start();
+
+            const res = await server.inject({ method: 'POST', url: '/', payload: { name: 'me', password: 'secret' } });
+            expect(res.statusCode).to.equal(200);
+
+            await server.stop();
+
+            const line = log.find((entry) => entry.msg === 'request-response');
+            expect(line.req.payload).to.equal({ name: 'me', password: '[Redacted]' });
+        });
+
+        it('is logged with captured payloads', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, {
+                payload: { req: true, res: true, redact: ['password', '$.users[*].token', 'missing.path'] }
+            });
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload });
+            server.route({ method: 'POST', path: '/text', handler: (request, h) => h.response(request.payload).type('text/plain') });
+            server.route({ method: 'POST', path: '/fail', handler: () => {
+
+                throw Boom.badRequest('bad password', { password: 'secret' });
+            } });
+
+            const payload = { name: 'me', password: 'secret', users: [{ token: 'a' }, { token: 'b', id: 1 }] };
+            const res1 = await server.inject({ method: 'POST', url: '/', payload });
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject({ method: 'POST', url: '/text', payload: 'hello', headers: { 'content-type': 'text/plain' } });
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject({ method: 'POST', url: '/fail', payload: Buffer.from([1, 2, 3]), headers: { 'content-type': 'application/octet-stream' } });
+            expect(res3.statusCode).to.equal(400);
+
+            const res4 = await server.inject({ method: 'POST', url: '/', payload: '{ "a": ', headers: { 'content-type': 'application/json' } });
+            expect(res4.statusCode).to.equal(400);
+
+            expect(log).to.have.length(4);
+
+            const line1 = log.shift();
+            const redacted = { name: 'me', password: '[Redacted]', users: [{ token: '[Redacted]' }, { token: '[Redacted]', id: 1 }] };
+            expect(line1.req.payload).to.equal(redacted);
+            expect(line1.res.payload).to.equal(redacted);
+
+            const line2 = log.shift();
+            expect(line2.req.payload).to.equal('hello');
+            expect(line2.res.payload).to.equal('hello');
+
+            const line3 = log.shift();
+            expect(line3.req.payload).to.not.exist();
+            expect(line3.res.payload).to.equal({ statusCode: 400, error: 'Bad Request', message: 'bad password' });
+
+            const line4 = log.shift();
+            expect(line4.req.payload).to.equal('[Invalid JSON: 7 bytes]');
+            expect(line4.res.payload).to.contain({ statusCode: 400 });
+        });
+
+        it('is logged with truncated payloads', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, {
+                payload: { req: true, maxBytes: 10 }
+            });
+            server.route({ method: 'POST', path: '/', handler: (request, h) => h.response(request.payload).type('text/plain') });
+            server.route({ method: 'POST', path: '/json', handler: () => 'ok', config: {
+                plugins: { nipo: { payload: { res: true, maxBytes: 5, redact: 'secret' } } }
+            } });
+            server.route({ method: 'GET', path: '/stream', handler: (request, h) => {
+
+                return h.response(Stream.Readable.from(['0123456789'.repeat(1000), 'more'], { objectMode: false })).type('text/plain');
+            }, config: {
+                plugins: { nipo: { payload: { res: true, req: false } } }
+            } });
+
+            const res1 = await server.inject({ method: 'POST', url: '/', payload: 'hello world, how are you?', headers: { 'content-type': 'text/plain' } });
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject({ method: 'POST', url: '/json', payload: { secret: 'something long' } });
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject({ url: '/stream', headers: { 'accept-encoding': 'gzip' } });
+            expect(res3.statusCode).to.equal(200);
+            expect(res3.headers['content-encoding']).to.equal('gzip');
+
+            expect(log).to.have.length(3);
+
+            const line1 = log.shift();
+            expect(line1.req.payload).to.equal('hello worl[Truncated: 15 bytes]');
+            expect(line1.res.payload).to.not.exist();
+
+            const line2 = log.shift();
+            expect(line2.req.payload).to.equal('[Truncated: 27 bytes]');
+            expect(line2.res.payload).to.equal('ok');
+
+            const line3 = log.shift();
+            expect(line3.req.payload).to.not.exist();
+            expect(line3.res.payload).to.equal('0123456789[Truncated: 9994 bytes]');
+        });
+
         it('logs route-defined properties', async () => {
 
             const { server, log } = await prepareServer();
@@ -497,122 +1478,1024 @@ describe('Nipo', () => {
             expect(line1.req.headers).to.contain(['user-agent', 'host']);
             expect(line1.req.clientIp).to.equal('1234');
 
-            const line2 = log.shift();
-            expect(line2.req.clientIp).to.equal('1234');
+            const line2 = log.shift();
+            expect(line2.req.clientIp).to.equal('1234');
+        });
+
+        it('initialize fails on bad route config', async () => {
+
+            const { server } = await prepareServer();
+
+            server.route({
+                method: 'GET', path: '/', config: {
+                    handler: () => 'ok',
+                    plugins: {
+                        nipo: {
+                            req: {
+                                test: true
+                            }
+                        }
+                    }
+                }
+            });
+
+            await expect(server.initialize()).to.reject('"req.test" must be one of [array, string]');
+        });
+
+        it('logs periodic "traffic-summary" entries', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { summary: { interval: 200 } });
+
+            server.route({ method: 'GET', path: '/item/{id}', options: { id: 'item', handler: (request) => (request.params.id === 'none' ? Boom.notFound() : 'ok') } });
+            server.route({ method: 'POST', path: '/quiet', options: { handler: () => null, plugins: { nipo: { log: false } } } });
+
+            await server.start();
+
+            try {
+                for (let i = 0; i < 8; ++i) {
+                    await server.inject(`/item/${i}`);
+                }
+
+                await server.inject('/item/none');
+                await server.inject({ method: 'POST', url: '/quiet', payload: '{"a":1}' });
+                await server.inject('/missing');
+
+                log.length = 0;
+                await Hoek.wait(250);
+
+                expect(log).to.have.length(1);
+                const entry = log.shift();
+                expect(entry).to.only.contain(['level', 'time', 'interval', 'since', 'routes', 'msg']);
+                expect(entry).to.contain({ level: 30, interval: 200, msg: 'traffic-summary' });
+                expect(entry.since).to.be.below(entry.time);
+                expect(entry.routes).to.have.length(3);
+
+                const [item, quiet, missing] = entry.routes;
+                expect(item).to.only.contain(['route', 'requests', 'status', 'bytes', 'latency']);
+                expect(item.route).to.equal({ id: 'item', path: '/item/{id}' });
+                expect(item.requests).to.equal(9);
+                expect(item.status).to.equal({ '2xx': 8, '4xx': 1 });
+                expect(item.bytes).to.equal({ req: 0, res: 16 + 60 });
+                expect(item.latency).to.only.contain(['p50', 'p90', 'p99', 'max']);
+                expect(item.latency.max).to.be.at.least(item.latency.p99);
+                expect(item.latency.p99).to.be.at.least(item.latency.p90);
+                expect(item.latency.p90).to.be.at.least(item.latency.p50);
+
+                expect(quiet.route.path).to.equal('/quiet');
+                expect(quiet).to.contain({ requests: 1, status: { '2xx': 1 }, bytes: { req: 7, res: 0 } });
+
+                expect(missing).to.contain({ route: { path: '/{p*}' }, requests: 1, status: { '4xx': 1 } });
+
+                // Nothing is logged for idle intervals
+
+                await Hoek.wait(250);
+                expect(log).to.have.length(0);
+
+                await server.inject('/item/1');
+            }
+            finally {
+                await server.stop();
+            }
+
+            // Remaining traffic is summarized on stop
+
+            const entries = log.filter((line) => line.msg === 'traffic-summary');
+            expect(entries).to.have.length(1);
+            expect(entries[0].routes).to.have.length(1);
+            expect(entries[0].routes[0]).to.contain({ requests: 1, status: { '2xx': 1 } });
+        });
+
+        describe('format', () => {
+
+            const prepareAccessServer = async (options) => {
+
+                const lines = [];
+                const events = [];
+                const stream = new Stream.Writable({
+                    write(chunk, encoding, callback) {
+
+                        // Event entries are written to the same stream
+
+                        const line = chunk.toString();
+                        if (line.startsWith('{')) {
+                            events.push(JSON.parse(line));
+                        }
+                        else {
+                            lines.push(line);
+                        }
+
+                        callback();
+                    }
+                });
+
+                const server = Hapi.server({ host: '127.0.0.1', debug: false });
+                await server.register({
+                    plugin: Nipo,
+                    options: { stream, pino: { level: 'debug' }, ...options }
+                });
+
+                server.route({ method: 'GET', path: '/{p*}', handler: () => 'hello' });
+
+                return { server, lines, events };
+            };
+
+            it('logs Common Log Format lines', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'common' });
+
+                const res = await server.inject({ url: '/some/path?q=1', remoteAddress: '10.0.0.1' });
+                expect(res.statusCode).to.equal(200);
+
+                expect(lines).to.have.length(1);
+                expect(lines[0]).to.match(/^10\.0\.0\.1 - - \[\d\d\/[A-Z][a-z]{2}\/\d{4}:\d\d:\d\d:\d\d \+0000\] "GET \/some\/path\?q=1 HTTP\/1\.1" 200 5\n$/);
+                expect(lines[0]).to.contain(`[${new Date(res.request.info.received).toUTCString().slice(5, 16).replace(/ /g, '/')}:`);
+            });
+
+            it('logs Combined Log Format lines', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'combined' });
+
+                await server.inject({ url: '/', headers: { referer: 'http://example.com/', 'user-agent': 'test "agent"\u00e9' } });
+                await server.inject({ method: 'HEAD', url: '/', headers: { 'user-agent': '' } });
+
+                expect(lines).to.have.length(2);
+                expect(lines[0]).to.endWith('"GET / HTTP/1.1" 200 5 "http://example.com/" "test \\"agent\\"\\xc3\\xa9"\n');
+                expect(lines[1]).to.endWith('"HEAD / HTTP/1.1" 200 - "-" ""\n');
+            });
+
+            it('logs W3C Extended Log Format lines', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'w3c' });
+
+                const res = await server.inject({ url: '/a%20b?x=y', headers: { 'user-agent': 'my agent' } });
+                await server.inject('/');
+
+                expect(lines).to.have.length(2);
+
+                const [version, fields, line1] = lines[0].split('\n');
+                expect(version).to.equal('#Version: 1.0');
+                expect(fields).to.equal('#Fields: date time c-ip cs-method cs-uri-stem cs-uri-query sc-status sc-bytes time-taken cs(User-Agent) cs(Referer)');
+
+                const received = new Date(res.request.info.received).toISOString();
+                expect(line1).to.match(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d 127\.0\.0\.1 GET \/a%20b x=y 200 5 \d+\.\d{3} my\+agent -$/);
+                expect(line1).to.startWith(`${received.slice(0, 10)} ${received.slice(11, 19)} `);
+
+                expect(lines[1]).to.match(/ GET \/ - 200 5 \d+\.\d{3} shot -\n$/);
+            });
+
+            it('logs aborted requests', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'common' });
+
+                let aborted;
+                const closed = new Promise((resolve) => {
+
+                    aborted = resolve;
+                });
+
+                server.route({ method: 'GET', path: '/stream', handler: () => {
+
+                    let sent = false;
+                    return new Stream.Readable({
+                        read() {
+
+                            if (!sent) {
+                                sent = true;
+                                this.push('a'.repeat(1000));
+                                setTimeout(aborted, 10);
+                            }
+                        }
+                    });
+                } });
+
+                await server.start();
+
+                await new Promise((resolve) => {
+
+                    const socket = new Net.Socket().connect(server.info.port, '127.0.0.1');
+                    socket.on('close', resolve);
+                    socket.resume();
+                    socket.on('connect', () => {
+
+                        socket.write('GET /stream HTTP/1.1\r\nHost: localhost\r\n\r\n');
+                        closed.then(() => socket.destroy());
+                    });
+                });
+
+                await server.stop();
+
+                expect(lines).to.have.length(1);
+                expect(lines[0]).to.endWith('"GET /stream HTTP/1.1" - 1000\n');
+            });
+
+            it('honors the crlf option', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'w3c', response: { pino: { crlf: true } } });
+
+                await server.inject('/');
+
+                expect(lines).to.have.length(1);
+                expect(lines[0]).to.match(/^#Version: 1\.0\r\n#Fields: [^\n]+\r\n[^\n]+ 200 5 [^\n]+\r\n$/);
+            });
+
+            it('writes lines to a pino transport', async () => {
+
+                const file = Path.join(Os.tmpdir(), `nipo-access-${process.pid}-${Date.now()}.log`);
+
+                const server = Hapi.server({ debug: false });
+                await server.register({
+                    plugin: Nipo,
+                    options: {
+                        format: 'common',
+                        events: { stream: new Stream.Writable({ write: (chunk, encoding, callback) => callback() }) },
+                        response: { pino: { transport: { target: 'pino/file', options: { destination: file } } } }
+                    }
+                });
+
+                server.route({ method: 'GET', path: '/', handler: () => 'hello' });
+                await server.inject({ url: '/', remoteAddress: '10.0.0.1' });
+
+                const destination = server.plugins.nipo.responseLogger[Pino.symbols.streamSym];
+                await new Promise((resolve) => {
+
+                    destination.once('close', resolve);
+                    destination.end();
+                });
+
+                try {
+                    expect(Fs.readFileSync(file, 'utf8')).to.match(/^10\.0\.0\.1 - - \[[^\]]+\] "GET \/ HTTP\/1\.1" 200 5\n$/);
+                }
+                finally {
+                    Fs.unlinkSync(file);
+                }
+            });
+
+            it('respects the response level', async () => {
+
+                const { server, lines } = await prepareAccessServer({ format: 'common', pino: { level: 'warn' } });
+
+                await server.inject('/');
+                await server.inject('/{p*}');
+                expect(lines).to.have.length(0);
+            });
+
+            it('logs events and summaries as JSON', async () => {
+
+                const { server, lines, events } = await prepareAccessServer({ format: 'w3c', summary: { interval: 60000 } });
+                server.route({ method: 'GET', path: '/log', handler: (request) => {
+
+                    request.log(['test'], 'hello');
+                    return 'ok';
+                } });
+
+                await server.initialize();
+                await server.inject('/log');
+                await server.stop();
+
+                expect(lines).to.have.length(1);
+                expect(events.map((entry) => entry.msg)).to.equal(['request-app', 'server-stopped', 'traffic-summary']);
+                expect(events[0]).to.contain({ tags: ['test'], data: 'hello' });
+            });
+        });
+
+        it('logs OpenTelemetry entries', async () => {
+
+            const { server, log } = await prepareServer({ name: 'my-service' }, {}, { format: 'otel', headers: { res: ['content-type'] } });
+            server.route({ method: 'GET', path: '/item/{id}', handler: (request) => {
+
+                request.logger.info('hello');
+                request.log(['test'], { a: 1 });
+                request.log(['error'], new Error('fail'));
+                return 'ok';
+            } });
+
+            await server.initialize();
+            const res = await server.inject({
+                url: '/item/1?x=y',
+                remoteAddress: '10.0.0.1',
+                headers: { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+            });
+
+            expect(res.statusCode).to.equal(200);
+            expect(log).to.have.length(4);
+
+            const resource = { 'service.name': 'my-service', 'host.name': Os.hostname(), 'process.pid': process.pid };
+            const trace = { TraceId: '0af7651916cd43dd8448eb211c80319c', SpanId: 'b7ad6b7169203331', TraceFlags: 1 };
+
+            const [loggerEntry, appEntry, errorEntry, response] = log;
+
+            expect(loggerEntry).to.equal({
+                Timestamp: loggerEntry.Timestamp,
+                SeverityText: 'INFO',
+                SeverityNumber: 9,
+                Body: 'hello',
+                Attributes: { request: res.request.info.id, 'http.route': '/item/{id}' },
+                Resource: resource,
+                ...trace
+            });
+            expect(loggerEntry.Timestamp).to.match(/^\d+000000$/);
+
+            expect(appEntry).to.contain({ SeverityText: 'INFO', SeverityNumber: 9, Body: 'request-app', ...trace });
+            expect(appEntry.Attributes).to.equal({ request: res.request.info.id, tags: ['test'], data: { a: 1 } });
+
+            expect(errorEntry).to.contain({ SeverityText: 'ERROR', SeverityNumber: 17, Body: 'request-app' });
+            expect(errorEntry.Attributes).to.contain({ 'exception.type': 'Error', 'exception.message': 'fail' });
+            expect(errorEntry.Attributes['exception.stacktrace']).to.startWith('Error: fail\n');
+
+            expect(response).to.contain({ SeverityText: 'INFO', SeverityNumber: 9, Body: 'request-response', Resource: resource, ...trace });
+            expect(response.Attributes).to.equal({
+                request: res.request.info.id,
+                'http.request.method': 'GET',
+                'url.path': '/item/1',
+                'url.query': 'x=y',
+                'client.address': '10.0.0.1',
+                'http.request.body.size': 0,
+                'http.route': '/item/{id}',
+                'http.response.status_code': 200,
+                'http.response.body.size': 2,
+                'http.response.header.content-type': ['text/html; charset=utf-8'],
+                res: { delay: response.Attributes.res.delay }
+            });
+
+            await server.start();
+            await server.stop();
+
+            expect(log[4]).to.contain({ SeverityText: 'INFO', Body: 'server-started' });
+            expect(log[4].Attributes).to.contain({ protocol: 'http', host: '127.0.0.1' });
+            expect(log[4].TraceId).to.not.exist();
+        });
+
+        it('maps entries to the OpenTelemetry log data model', () => {
+
+            const options = { labels: { 30: 'info' }, messageKey: 'msg' };
+
+            expect(Otel.entry({ level: 35, time: '2024-01-01T00:00:00.000Z', msg: 'custom' }, options)).to.equal({
+                Timestamp: '1704067200000000000',
+                SeverityText: undefined,
+                SeverityNumber: undefined,
+                Body: 'custom',
+                Attributes: {},
+                Resource: undefined,
+                TraceId: undefined,
+                SpanId: undefined,
+                TraceFlags: undefined
+            });
+
+            const entry = Otel.entry({
+                level: 30,
+                req: { id: '1', method: 'get', path: '/', auth: { valid: true }, headers: { 'x-list': ['a', 'b'] } },
+                route: { id: 'test', path: '/' },
+                res: {},
+                err: { type: 'Error', message: 'oops', data: 'x' }
+            }, options);
+
+            expect(entry.Timestamp).to.be.undefined();
+            expect(JSON.parse(JSON.stringify(entry.Attributes))).to.equal({
+                request: '1',
+                'http.request.method': 'GET',
+                'url.path': '/',
+                'http.request.header.x-list': ['a', 'b'],
+                req: { auth: { valid: true } },
+                'http.route': '/',
+                route: { id: 'test' },
+                'exception.type': 'Error',
+                'exception.message': 'oops',
+                err: { data: 'x' }
+            });
+        });
+
+        it('logs Elastic Common Schema entries', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { format: 'ecs' });
+
+            server.auth.scheme('test-scheme', () => {
+
+                return {
+                    authenticate(request, h) {
+
+                        return h.authenticated({ credentials: { user: { id: 42, name: 'me' } } });
+                    }
+                };
+            });
+            server.auth.strategy('test', 'test-scheme');
+
+            server.route({ method: 'POST', path: '/item/{id}', options: { auth: 'test' }, handler: (request) => {
+
+                request.logger.info('hello');
+                request.log(['test'], new Error('fail'));
+                return 'ok';
+            } });
+
+            await server.initialize();
+            const res = await server.inject({
+                method: 'POST',
+                url: '/item/1?x=y',
+                payload: { a: 1 },
+                remoteAddress: '10.0.0.1',
+                headers: { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+            });
+
+            expect(res.statusCode).to.equal(200);
+            expect(log).to.have.length(3);
+
+            const common = {
+                'ecs.version': '8.11.0',
+                host: { hostname: Os.hostname() },
+                process: { pid: process.pid },
+                trace: { id: '0af7651916cd43dd8448eb211c80319c' },
+                span: { id: 'b7ad6b7169203331' }
+            };
+
+            const [loggerEntry, appEntry, response] = log;
+
+            expect(loggerEntry).to.equal({
+                '@timestamp': new Date(Date.parse(loggerEntry['@timestamp'])).toISOString(),
+                'log.level': 'info',
+                message: 'hello',
+                ...common,
+                http: { request: { id: res.request.info.id } },
+                nipo: { route: { path: '/item/{id}' }, auth: 'test', trace_flags: '01' }
+            });
+
+            expect(appEntry).to.contain({ 'log.level': 'info', message: 'request-app', tags: ['test'], ...common });
+            expect(appEntry.http).to.equal({ request: { id: res.request.info.id } });
+            expect(appEntry.error).to.contain({ type: 'Error', message: 'fail' });
+            expect(appEntry.error.stack_trace).to.startWith('Error: fail\n');
+
+            expect(response).to.contain({ 'log.level': 'info', message: 'request-response', ...common });
+            expect(response.http).to.equal({
+                request: { id: res.request.info.id, method: 'POST', body: { bytes: 7 } },
+                response: { status_code: 200, body: { bytes: 2 } }
+            });
+            expect(response.url).to.equal({ original: '/item/1?x=y', path: '/item/1', query: 'x=y' });
+            expect(response.client).to.equal({ ip: '10.0.0.1' });
+            expect(response.user).to.equal({ id: '42' });
+            expect(response.event.duration).to.equal(response.event.duration - response.event.duration % 1e6);
+            expect(response.nipo).to.equal({
+                req: { trace_flags: '01', auth: { valid: true, access: false, strategy: 'test' } },
+                route: { path: '/item/{id}' }
+            });
+        });
+
+        it('maps entries to the Elastic Common Schema', () => {
+
+            const options = { labels: { 30: 'info' }, messageKey: 'msg', resource: Ecs.resource('my-service') };
+
+            expect(JSON.parse(JSON.stringify(Ecs.entry({ level: 35, time: 'invalid', msg: 'custom', data: {}, value: null }, options)))).to.equal({
+                'log.level': 35,
+                message: 'custom',
+                'ecs.version': '8.11.0',
+                service: { name: 'my-service' },
+                host: { hostname: Os.hostname() },
+                process: { pid: process.pid },
+                nipo: { value: null }
+            });
+
+            const entry = Ecs.entry({
+                level: 30,
+                time: 0,
+                req: { auth: { valid: true, credentials: { id: 'me' } } },
+                res: { statusCode: 204 },
+                err: { type: 'Error', message: 'oops', data: 'x' }
+            }, options);
+
+            expect(entry['@timestamp']).to.equal('1970-01-01T00:00:00.000Z');
+            expect(entry.user).to.equal({ id: 'me' });
+            expect(entry.nipo).to.equal({ req: { auth: { valid: true } }, err: { data: 'x' } });
+            expect(entry.url).to.not.exist();
+        });
+
+        it('logs Google Cloud Logging entries', async () => {
+
+            const { server, log } = await prepareServer({ name: 'my-service', level: 'info' }, {}, { format: 'gcp', projectId: 'my-project' });
+
+            server.route({ method: 'GET', path: '/', handler: (request) => {
+
+                request.logger.warn('hello');
+                request.log(['error'], new Error('fail'));
+                throw new Error('broken');
+            } });
+
+            await server.initialize();
+            const res = await server.inject({
+                url: '/?x=y',
+                remoteAddress: '10.0.0.1',
+                headers: { 'user-agent': 'test', traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+            });
+
+            expect(res.statusCode).to.equal(500);
+            expect(log).to.have.length(4);
+
+            const trace = {
+                'logging.googleapis.com/trace': 'projects/my-project/traces/0af7651916cd43dd8448eb211c80319c',
+                'logging.googleapis.com/spanId': 'b7ad6b7169203331',
+                'logging.googleapis.com/trace_sampled': true
+            };
+
+            const [loggerEntry, appEntry, errorEntry, response] = log;
+
+            expect(loggerEntry).to.contain({ severity: 'WARNING', message: 'hello', ...trace });
+            expect(loggerEntry.time).to.equal(new Date(Date.parse(loggerEntry.time)).toISOString());
+            expect(loggerEntry.level).to.not.exist();
+            expect(loggerEntry.msg).to.not.exist();
+
+            expect(appEntry).to.contain({ severity: 'ERROR', message: 'request-app', ...trace });
+            expect(appEntry['@type']).to.not.exist();
+
+            expect(errorEntry).to.contain({
+                severity: 'ERROR',
+                message: 'request-error',
+                '@type': 'type.googleapis.com/google.devtools.clouderrorreporting.v1beta1.ReportedErrorEvent',
+                serviceContext: { service: 'my-service' },
+                ...trace
+            });
+            expect(errorEntry.stack_trace).to.startWith('Error: broken\n');
+
+            expect(response).to.contain({ severity: 'ERROR', message: 'request-response', ...trace });
+            expect(response.httpRequest).to.equal({
+                requestMethod: 'GET',
+                requestUrl: '/?x=y',
+                requestSize: '0',
+                status: 500,
+                responseSize: `${res.rawPayload.length}`,
+                userAgent: 'test',
+                remoteIp: '10.0.0.1',
+                latency: `${response.res.delay / 1000}s`
+            });
+            expect(response.req.userAgent).to.not.exist();
+        });
+
+        it('maps entries to Google Cloud Logging entries', () => {
+
+            const resource = Gcp.resource(undefined, {});
+            expect(resource).to.equal({ projectId: process.env.GOOGLE_CLOUD_PROJECT, serviceContext: undefined });
+
+            const options = { labels: { 30: 'info' }, messageKey: 'msg', resource: { projectId: undefined } };
+
+            expect(Gcp.entry({ level: 35, msg: 'custom', trace_id: 'abc', trace_flags: '00' }, options)).to.contain({
+                severity: 'DEFAULT',
+                time: undefined,
+                'logging.googleapis.com/trace': 'abc',
+                'logging.googleapis.com/trace_sampled': false
+            });
+
+            const entry = Gcp.entry({ level: 60, time: 0, msg: 'nipo-error', message: 'fail', stack: 'Error: fail' }, options);
+            expect(entry).to.contain({ severity: 'DEFAULT', time: '1970-01-01T00:00:00.000Z', message: 'nipo-error', stack_trace: 'Error: fail' });
+            expect(entry.nipo).to.equal({ message: 'fail' });
+
+            const clashing = Gcp.entry({ level: 30, msg: 'suppressed', message: 'boom 123', severity: 'high', count: 2 }, options);
+            expect(clashing).to.contain({ severity: 'INFO', message: 'suppressed', count: 2 });
+            expect(clashing.nipo).to.equal({ message: 'boom 123', severity: 'high' });
+            expect(Gcp.entry({ level: 30, msg: 'plain' }, options).nipo).to.not.exist();
+
+            const aborted = Gcp.entry({ level: 20, msg: 'request-response', req: { method: 'get', path: '/' }, res: {} }, options);
+            expect(aborted.httpRequest).to.not.exist();
+        });
+
+        it('summarizes aborted requests', () => {
+
+            const summary = Summary.create();
+
+            Summary.record(summary, {}, { delay: 10 });
+
+            const { routes } = Summary.flush(summary);
+            expect(routes).to.equal([{ route: {}, requests: 1, status: { aborted: 1 }, bytes: { req: 0, res: 0 }, latency: undefined }]);
+            expect(Summary.flush(summary)).to.be.null();
+        });
+    });
+
+    describe('events', () => {
+
+        it('logs server "app" events', async () => {
+
+            const { server, log } = await prepareServer();
+
+            server.log(['my', 'app'], BigInt(1000));
+
+            expect(log).to.have.length(1);
+            const line = log.shift();
+
+            expect(line).to.only.contain(['level', 'time', 'server', 'tags', 'data', 'msg']);
+            expect(line.level).to.equal(30);
+            expect(line.tags).to.equal(['my', 'app']);
+            expect(line.data).to.equal('1000n');
+            expect(line.msg).to.equal('log-app');
+        });
+
+        it('supports custom server "app" event levels', async () => {
+
+            const { server, log } = await prepareServer({}, {}, {
+                tagLevels: { hello: 'debug', my: 'warn' }
+            });
+
+            server.log(['app', 'trace'], 0);
+            server.log(['my', 'app'], 1);
+            server.log(['my', 'app', 'hello'], 2);
+            server.log(['app', 'hello'], 3);
+            server.log(['app'], 4);
+
+            expect(log).to.have.length(4);
+
+            expect(log.shift().level).to.equal(40);
+            expect(log.shift().level).to.equal(40);
+            expect(log.shift().level).to.equal(20);
+            expect(log.shift().level).to.equal(30);
+        });
+
+        it('logs request "app" events', async () => {
+
+            const { server, log } = await prepareServer({ level: 'trace' });
+            server.route({ method: 'GET', path: '/', handler(request) {
+
+                request.log(['my', 'handler'], BigInt(42));
+                return 'ok';
+            } });
+
+            const res = await server.inject('/');
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(2);
+            const line1 = log.shift();
+
+            expect(line1).to.only.contain(['level', 'time', 'request', 'tags', 'data', 'msg']);
+            expect(line1.level).to.equal(30);
+            expect(line1.tags).to.equal(['my', 'handler']);
+            expect(line1.data).to.equal('42n');
+            expect(line1.msg).to.equal('request-app');
+
+            const line2 = log.shift();
+            expect(line2).to.only.contain(['level', 'time', 'req', 'route', 'res', 'msg']);
+            expect(line2.req.id).to.equal(line1.request);
+            expect(line2.res.delay).to.be.at.least(0);
+            expect(line2.res.statusCode).to.equal(200);
+            expect(line2.msg).to.equal('request-response');
+        });
+
+        it('supports custom request "app" event levels', async () => {
+
+            const { server, log } = await prepareServer({ level: 'debug' }, {}, {
+                tagLevels: { hello: 'debug', my: 'warn' }
+            });
+            server.route({ method: 'GET', path: '/', handler(request) {
+
+                request.log(['handler', 'trace'], 0);
+                request.log(['my', 'handler'], 1);
+                request.log(['my', 'handler', 'hello'], 2);
+                request.log(['handler', 'hello'], 3);
+                request.log(['handler'], 4);
+                return 'ok';
+            } });
+
+            const res = await server.inject('/');
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(5);
+
+            expect(log.shift().level).to.equal(40);
+            expect(log.shift().level).to.equal(40);
+            expect(log.shift().level).to.equal(20);
+            expect(log.shift().level).to.equal(30);
+        });
+
+        it('logs request "logger" entries', async () => {
+
+            const { server, log } = await prepareServer({ level: 'debug' });
+
+            server.auth.scheme('test-scheme', () => {
+
+                return {
+                    authenticate(request, h) {
+
+                        request.logger.debug({ phase: 'auth' }, 'authenticating');
+                        return h.authenticated({ credentials: { user: 'me' } });
+                    }
+                };
+            });
+            server.auth.strategy('test', 'test-scheme');
+
+            server.route({ method: 'GET', path: '/{id}', handler(request) {
+
+                request.logger.warn({ custom: { value: request.params.id } }, 'my-message');
+                request.logger.trace('not-logged');
+                return 'ok';
+            }, config: { auth: 'test' } });
+
+            const res = await server.inject('/123');
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(3);
+            const line1 = log.shift();
+
+            expect(line1).to.only.contain(['level', 'time', 'request', 'route', 'phase', 'msg']);
+            expect(line1.level).to.equal(20);
+            expect(line1.route).to.equal({ path: '/{id}' });
+            expect(line1.phase).to.equal('auth');
+            expect(line1.msg).to.equal('authenticating');
+
+            const line2 = log.shift();
+            expect(line2).to.only.contain(['level', 'time', 'request', 'route', 'auth', 'custom', 'msg']);
+            expect(line2.level).to.equal(40);
+            expect(line2.request).to.equal(line1.request);
+            expect(line2.route).to.equal({ path: '/{id}' });
+            expect(line2.auth).to.equal('test');
+            expect(line2.custom).to.equal({ value: '123' });
+            expect(line2.msg).to.equal('my-message');
+
+            const line3 = log.shift();
+            expect(line3.req.id).to.equal(line1.request);
+            expect(line3.msg).to.equal('request-response');
+        });
+
+        it('creates request "logger" on first use', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' });
+            server.ext('onRequest', (request, h) => {
+
+                if (request.path === '/early') {
+                    request.logger.info('early');
+                }
+
+                return h.continue;
+            });
+
+            server.route({ method: 'GET', path: '/early', handler(request) {
+
+                request.logger.info('late');
+                return 'ok';
+            } });
+            server.route({ method: 'GET', path: '/silent', handler: () => 'ok' });
+
+            const res1 = await server.inject('/early');
+            expect(res1.statusCode).to.equal(200);
+
+            const res2 = await server.inject('/silent');
+            expect(res2.request.plugins.nipo.logger).to.be.null();
+
+            const [early, late] = log;
+            expect(early).to.only.contain(['level', 'time', 'request', 'msg']);
+            expect(late.route).to.equal({ path: '/early' });
+            expect(late.request).to.equal(early.request);
+        });
+
+        it('ignores level changes on request "logger"', async () => {
+
+            const { server, log } = await prepareServer();
+            server.route({ method: 'GET', path: '/', handler(request) {
+
+                request.logger.level = 'error';
+                request.log(['my', 'handler'], 'hello');
+                return 'ok';
+            } });
+
+            const res = await server.inject('/');
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(2);
+            expect(log.shift().msg).to.equal('request-app');
+            expect(log.shift().msg).to.equal('request-response');
+            expect(server.plugins.nipo.eventLogger.level).to.equal('debug');
+        });
+
+        it('supports route specific request "app" event levels', async () => {
+
+            const { server, log } = await prepareServer({ level: 'debug' }, {}, {
+                tagLevels: { hello: 'debug', my: 'warn' }
+            });
+            server.route({ method: 'GET', path: '/', handler(request) {
+
+                request.log(['my', 'handler'], 1);
+                request.log(['handler', 'hello'], 2);
+                request.log(['handler'], 3);
+                return 'ok';
+            }, config: { plugins: { nipo: { tagLevels: { my: 'error', handler: 'debug' } } } } });
+
+            await server.initialize();
+
+            const res = await server.inject('/');
+            expect(res.statusCode).to.equal(200);
+
+            expect(log).to.have.length(4);
+
+            expect(log.shift().level).to.equal(50);
+            expect(log.shift().level).to.equal(20);
+            expect(log.shift().level).to.equal(20);
+        });
+
+        it('initialize fails on bad route tag levels', async () => {
+
+            const { server } = await prepareServer();
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: { plugins: { nipo: { tagLevels: { my: 'loud' } } } } });
+
+            await expect(server.initialize()).to.reject(/"tagLevels.my" must be one of/);
+        });
+
+        it('logs periodic "process-health" entries', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { health: { interval: 50, thresholds: { handles: 0, rss: Number.MAX_SAFE_INTEGER } } });
+
+            await server.start();
+
+            try {
+                log.length = 0;
+                await Hoek.wait(120);
+            }
+            finally {
+                await server.stop();
+            }
+
+            const entries = log.filter((entry) => entry.msg === 'process-health');
+            expect(entries.length).to.be.at.least(1);
+
+            const entry = entries.find((line) => line.eventLoop.delay);
+            expect(entry).to.only.contain(['level', 'time', 'eventLoop', 'memory', 'handles', 'exceeded', 'msg']);
+            expect(entry.level).to.equal(40);
+            expect(entry.exceeded).to.equal(['handles']);
+            expect(entry.eventLoop.delay).to.only.contain(['min', 'p50', 'p90', 'p99', 'max']);
+            expect(entry.eventLoop.delay.max).to.be.at.least(entry.eventLoop.delay.p99);
+            expect(entry.eventLoop.utilization).to.be.between(0, 1);
+            expect(entry.memory).to.only.contain(['rss', 'heapTotal', 'heapUsed', 'external']);
+            expect(entry.handles).to.be.at.least(1);
+
+            // Monitoring stops with the server
+
+            const count = log.length;
+            await Hoek.wait(80);
+            expect(log).to.have.length(count);
+        });
+
+        it('logs "process-health" at info level when no threshold is crossed', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { health: { interval: 20 } });
+
+            await server.start();
+            await Hoek.wait(30);
+            await server.stop();
+
+            const entry = log.find((line) => line.msg === 'process-health');
+            expect(entry.level).to.equal(30);
+            expect(entry.exceeded).to.not.exist();
         });
 
-        it('initialize fails on bad route config', async () => {
+        it('suppresses repeated error events', async () => {
 
-            const { server } = await prepareServer();
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { suppress: { limit: 2, window: 100 } });
+            server.route({ method: 'GET', path: '/{kind}', handler: (request) => {
 
-            server.route({
-                method: 'GET', path: '/', config: {
-                    handler: () => 'ok',
-                    plugins: {
-                        nipo: {
-                            req: {
-                                test: true
-                            }
-                        }
-                    }
+                if (request.params.kind === 'fail') {
+                    throw new Error('broken');
                 }
-            });
 
-            await expect(server.initialize()).to.reject('"req.test" must be one of [array, string]');
-        });
-    });
+                request.log(['error'], new Error('app failure'));
+                request.log(['error'], 'string failure');
+                request.log(['info'], 'not an error');
+                server.log(['error', 'db'], new TypeError('connection lost'));
+                return 'ok';
+            } });
 
-    describe('events', () => {
+            await server.initialize();
 
-        it('logs server "app" events', async () => {
+            for (let i = 0; i < 4; ++i) {
+                await server.inject('/fail');
+                await server.inject('/app');
+            }
 
-            const { server, log } = await prepareServer();
+            const messages = (msg) => log.filter((entry) => entry.msg === msg);
 
-            server.log(['my', 'app'], BigInt(1000));
+            expect(messages('request-error')).to.have.length(2);
+            expect(messages('request-app')).to.have.length(2 + 2 + 4);
+            expect(messages('log-app')).to.have.length(2);
+            expect(messages('suppressed')).to.have.length(0);
 
-            expect(log).to.have.length(1);
-            const line = log.shift();
+            await Hoek.wait(150);
 
-            expect(line).to.only.contain(['level', 'time', 'server', 'tags', 'data', 'msg']);
-            expect(line.level).to.equal(30);
-            expect(line.tags).to.equal(['my', 'app']);
-            expect(line.data).to.equal('1000n');
-            expect(line.msg).to.equal('log-app');
-        });
+            const suppressed = messages('suppressed');
+            expect(suppressed).to.have.length(4);
+            for (const entry of suppressed) {
+                expect(entry).to.contain(['level', 'time', 'event', 'tags', 'message', 'count', 'first', 'last', 'msg']);
+                expect(entry.level).to.equal(40);
+                expect(entry.count).to.equal(2);
+                expect(entry.last).to.be.at.least(entry.first);
+            }
 
-        it('supports custom server "app" event levels', async () => {
+            expect(suppressed[0]).to.contain({ event: 'request-error', type: 'Error', message: 'broken' });
+            expect(suppressed[1]).to.contain({ event: 'request-app', tags: ['error'], type: 'Error', message: 'app failure' });
+            expect(suppressed[2]).to.contain({ event: 'request-app', tags: ['error'], message: 'string failure' });
+            expect(suppressed[3]).to.contain({ event: 'log-app', tags: ['error', 'db'], type: 'TypeError', message: 'connection lost' });
 
-            const { server, log } = await prepareServer({}, {}, {
-                tagLevels: { hello: 'debug', my: 'warn' }
-            });
+            // A new window logs events again
 
-            server.log(['app', 'trace'], 0);
-            server.log(['my', 'app'], 1);
-            server.log(['my', 'app', 'hello'], 2);
-            server.log(['app', 'hello'], 3);
-            server.log(['app'], 4);
+            await server.inject('/fail');
+            expect(messages('request-error')).to.have.length(3);
 
-            expect(log).to.have.length(4);
+            await server.stop();
+            expect(messages('suppressed')).to.have.length(4);
+        });
 
-            expect(log.shift().level).to.equal(40);
-            expect(log.shift().level).to.equal(40);
-            expect(log.shift().level).to.equal(20);
-            expect(log.shift().level).to.equal(30);
+        it('reports suppressed events on stop', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { suppress: { limit: 0 } });
+
+            await server.initialize();
+            server.log(['error'], {});
+            await server.stop();
+
+            expect(log).to.have.length(2);
+            expect(log[0]).to.contain({ msg: 'server-stopped' });
+            expect(log[1]).to.contain({ event: 'log-app', tags: ['error'], count: 1, msg: 'suppressed' });
+            expect(log[1].message).to.not.exist();
         });
 
-        it('logs request "app" events', async () => {
+        it('logs "request-slow" for in-flight slow requests', async () => {
 
-            const { server, log } = await prepareServer({ level: 'trace' });
-            server.route({ method: 'GET', path: '/', handler(request) {
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { slowThreshold: 20 });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok' });
+            server.route({ method: 'GET', path: '/slow/{id}', handler: async () => {
 
-                request.log(['my', 'handler'], BigInt(42));
+                await Hoek.wait(50);
                 return 'ok';
+            }, config: { id: 'slow' } });
+            server.route({ method: 'POST', path: '/slow', handler: () => {
+
+                throw Boom.badRequest();
+            }, config: {
+                ext: {
+                    onPreAuth: {
+                        method: async (request, h) => {
+
+                            await Hoek.wait(50);
+                            return h.continue;
+                        }
+                    }
+                }
             } });
 
-            const res = await server.inject('/');
-            expect(res.statusCode).to.equal(200);
+            await server.initialize();
 
-            expect(log).to.have.length(2);
-            const line1 = log.shift();
+            const res1 = await server.inject('/');
+            expect(res1.statusCode).to.equal(200);
 
-            expect(line1).to.only.contain(['level', 'time', 'request', 'tags', 'data', 'msg']);
+            const res2 = await server.inject('/slow/1?a=b');
+            expect(res2.statusCode).to.equal(200);
+
+            const res3 = await server.inject({ method: 'POST', url: '/slow', payload: 'hello' });
+            expect(res3.statusCode).to.equal(400);
+
+            expect(log).to.have.length(5);
+
+            const line1 = log.shift();
             expect(line1.level).to.equal(30);
-            expect(line1.tags).to.equal(['my', 'handler']);
-            expect(line1.data).to.equal('42n');
-            expect(line1.msg).to.equal('request-app');
+            expect(line1.msg).to.equal('request-response');
 
             const line2 = log.shift();
-            expect(line2).to.only.contain(['level', 'time', 'req', 'route', 'res', 'msg']);
-            expect(line2.req.id).to.equal(line1.request);
-            expect(line2.res.delay).to.be.at.least(0);
-            expect(line2.res.statusCode).to.equal(200);
-            expect(line2.msg).to.equal('request-response');
-        });
+            expect(line2).to.only.contain(['level', 'time', 'request', 'method', 'path', 'route', 'phase', 'elapsed', 'msg']);
+            expect(line2.level).to.equal(40);
+            expect(line2.method).to.equal('get');
+            expect(line2.path).to.equal('/slow/1?a=b');
+            expect(line2.route).to.equal({ id: 'slow', path: '/slow/{id}' });
+            expect(line2.phase).to.equal('handler');
+            expect(line2.elapsed).to.be.at.least(15);
+            expect(line2.msg).to.equal('request-slow');
 
-        it('supports custom request "app" event levels', async () => {
+            const line3 = log.shift();
+            expect(line3.level).to.equal(40);
+            expect(line3.req.id).to.equal(line2.request);
+            expect(line3.res.statusCode).to.equal(200);
+            expect(line3.res.delay).to.be.at.least(50);
+            expect(line3.msg).to.equal('request-response');
 
-            const { server, log } = await prepareServer({ level: 'debug' }, {}, {
-                tagLevels: { hello: 'debug', my: 'warn' }
-            });
-            server.route({ method: 'GET', path: '/', handler(request) {
+            const line4 = log.shift();
+            expect(line4.phase).to.equal('auth');
+            expect(line4.msg).to.equal('request-slow');
 
-                request.log(['handler', 'trace'], 0);
-                request.log(['my', 'handler'], 1);
-                request.log(['my', 'handler', 'hello'], 2);
-                request.log(['handler', 'hello'], 3);
-                request.log(['handler'], 4);
-                return 'ok';
-            } });
+            const line5 = log.shift();
+            expect(line5.level).to.equal(40);
+            expect(line5.msg).to.equal('request-response');
+        });
 
-            const res = await server.inject('/');
-            expect(res.statusCode).to.equal(200);
+        it('logs "request-slow" for requests receiving a payload', async () => {
 
-            expect(log).to.have.length(5);
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { slowThreshold: 30 });
+            server.route({ method: 'POST', path: '/', handler: (request) => request.payload });
+            await server.start();
 
-            expect(log.shift().level).to.equal(40);
-            expect(log.shift().level).to.equal(40);
-            expect(log.shift().level).to.equal(20);
-            expect(log.shift().level).to.equal(30);
+            try {
+                const socket = Net.connect(server.info.port);
+                socket.resume();
+                socket.write('POST / HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\nContent-Type: text/plain\r\nContent-Length: 10\r\n\r\n');
+                await Hoek.wait(50);
+                socket.write('0123456789');
+                await new Promise((resolve) => socket.once('close', resolve));
+            }
+            finally {
+                await server.stop();
+            }
+
+            const slow = log.find((line) => line.msg === 'request-slow');
+            expect(slow.phase).to.equal('payload');
+
+            const response = log.find((line) => line.msg === 'request-response');
+            expect(response.res.statusCode).to.equal(200);
+            expect(response.res.timings).to.not.exist();
         });
 
         it('handles level changes', async () => {
@@ -689,6 +2572,7 @@ describe('Nipo', () => {
 
                 const socket = new Net.Socket().connect(server.info.port, '127.0.0.1');
                 socket.on('close', resolve);
+                socket.resume();
                 socket.on('connect', () => {
 
                     socket.write('hi\n');
@@ -732,6 +2616,7 @@ describe('Nipo', () => {
             expect(line1.tags).to.equal(['internal', 'implementation', 'error']);
             expect(line1.err.type).to.equal('Boom(TypeError)');
             expect(typeof line1.err.stack).to.equal('string');
+            expect(line1.err.fingerprint).to.match(/^[\da-f]{16}$/);
             expect(line1.msg).to.equal('request-error');
 
             const line2 = log.shift();
@@ -741,6 +2626,7 @@ describe('Nipo', () => {
             expect(line2.res.statusCode).to.equal(500);
             expect(line2.res.delay).to.be.at.least(0);
             expect(line2.res.reason).to.equal('Boom(TypeError): Assignment to constant variable.');
+            expect(line2.res.fingerprint).to.equal(line1.err.fingerprint);
             expect(line2.msg).to.equal('request-response');
         });
     });
@@ -757,6 +2643,46 @@ describe('Nipo', () => {
             expect(res.stack).to.contain('fail');
         });
 
+        it('computes stable fingerprints', () => {
+
+            const create = (id) => {
+
+                const err = new Error(`User ${id} with key "${id}-x" and id 4f0c2e7a-8b1d-4c3e-9f2a-1b2c3d4e5f60 not found`);
+                err.cause = new TypeError(`lookup ${id} failed`);
+                return err;
+            };
+
+            const [first, second, relocated, noCause, typed] = [1, 2000, 1, 1, 1].map(create);
+
+            const fingerprint = Serialize.fingerprint(first);
+            expect(fingerprint).to.match(/^[\da-f]{16}$/);
+            expect(Serialize.fingerprint(second)).to.equal(fingerprint);
+
+            // Line and column numbers are ignored
+
+            relocated.stack = relocated.stack.replace(/:\d+:\d+\)/g, ':1:1)');
+            expect(Serialize.fingerprint(relocated)).to.equal(fingerprint);
+
+            // Cause chain and error types are included
+
+            noCause.cause = undefined;
+            expect(Serialize.fingerprint(noCause)).to.not.equal(fingerprint);
+
+            typed.cause = new RangeError('lookup failed');
+            expect(Serialize.fingerprint(typed)).to.not.equal(fingerprint);
+
+            // Stack locations are included
+
+            expect(Serialize.fingerprint(create(1))).to.not.equal(fingerprint);
+
+            const circular = new Error('circular');
+            circular.cause = new Error('inner', { cause: circular });
+            delete circular.stack;
+            expect(Serialize.fingerprint(circular)).to.match(/^[\da-f]{16}$/);
+
+            expect(Serialize.fingerprint('fail')).to.be.undefined();
+        });
+
         it('does not modify non-errors', () => {
 
             const noterr = { hello: 'world' };
@@ -781,6 +2707,188 @@ describe('Nipo', () => {
             expect(res.code).to.equal('ERR_INVALID_ARG_TYPE');
         });
 
+        it('serializes structured causes', () => {
+
+            const serializer = Serialize.errSerializer({ structured: true, maxDepth: 10 });
+
+            const err = new Error('outer', { cause: new Boom.Boom('middle', { statusCode: 502, data: { a: 1 } }) });
+            err.cause.cause = 'root reason';
+
+            const res = serializer(err);
+            expect(res).to.only.contain(['type', 'message', 'code', 'stack', 'causes']);
+            expect(res.message).to.equal('outer');
+            expect(res.stack).to.startWith('Error: outer\n');
+            expect(res.causes).to.have.length(2);
+            expect(res.causes[0]).to.contain({ type: 'Boom', message: 'middle', code: 502, data: { a: 1 } });
+            expect(res.causes[0].stack).to.startWith('Error: middle\n');
+            expect(res.causes[1]).to.equal('root reason');
+
+            expect(serializer({ hello: 'world' })).to.equal({ hello: 'world' });
+            expect(serializer(new Error('plain'))).to.not.contain('causes');
+        });
+
+        it('serializes AggregateError members', () => {
+
+            const serializer = Serialize.errSerializer({ structured: true, maxDepth: 10 });
+
+            const member = new TypeError('member', { cause: new Error('member cause') });
+            const nested = new AggregateError([new RangeError('deep')], 'nested');
+            const err = new AggregateError([member, nested, 'text'], 'multiple', { cause: new AggregateError([new Error('cause member')], 'cause') });
+
+            const res = serializer(err);
+            expect(res.type).to.equal('AggregateError');
+            expect(res.message).to.equal('multiple');
+            expect(res.errors).to.have.length(3);
+            expect(res.errors[0]).to.contain({ type: 'TypeError', message: 'member' });
+            expect(res.errors[0].causes).to.have.length(1);
+            expect(res.errors[0].causes[0]).to.contain({ type: 'Error', message: 'member cause' });
+            expect(res.errors[1]).to.contain({ type: 'AggregateError', message: 'nested' });
+            expect(res.errors[1].errors[0]).to.contain({ type: 'RangeError', message: 'deep' });
+            expect(res.errors[2]).to.equal('text');
+            expect(res.causes[0]).to.contain({ type: 'AggregateError', message: 'cause' });
+            expect(res.causes[0].errors[0]).to.contain({ type: 'Error', message: 'cause member' });
+        });
+
+        it('limits structured serialization', () => {
+
+            const serializer = Serialize.errSerializer({ structured: true, maxDepth: 2 });
+
+            const chain = new Error('1', { cause: new Error('2', { cause: new Error('3', { cause: new Error('4') }) }) });
+            expect(serializer(chain).causes.map((cause) => cause.message ?? cause)).to.equal(['2', '3', '[Truncated]']);
+
+            const circular = new Error('circular');
+            circular.cause = new Error('inner', { cause: circular });
+            expect(serializer(circular).causes.map((cause) => cause.message ?? cause)).to.equal(['inner', '[Circular]']);
+
+            const shared = new Error('shared');
+            const deep = new AggregateError([new AggregateError([new AggregateError([new Error('too deep')])]), shared, shared]);
+            const res = serializer(deep);
+            expect(res.errors[0].errors[0].errors).to.equal(['[Truncated]']);
+            expect(res.errors[1]).to.contain({ message: 'shared' });
+            expect(res.errors[2]).to.equal('[Circular]');
+        });
+
+        it('trims stack frames', () => {
+
+            const err = new Error('outer', { cause: new TypeError('inner') });
+            err.stack = [
+                'Error: outer',
+                '    at handler (/app/lib/routes.js:10:5)',
+                '    at exports.Manager.execute (/app/node_modules/@hapi/hapi/lib/toolkit.js:60:29)',
+                '    at Object.internals.handler (/app/node_modules/@hapi/hapi/lib/handler.js:46:20)',
+                '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+                '    at async Promise.all (index 0)',
+                '    at /app/lib/server.js:3:1',
+                '    at Object.method (/app/node_modules/lib/index.js:1:1)',
+                '    at main (/app/lib/main.js:20:3)'
+            ].join('\n');
+            err.cause.stack = 'TypeError: inner\n    at inner (/app/lib/inner.js:1:2)\n    at next (node:internal/next:1:2)';
+
+            expect(Serialize.errSerializer({ collapse: true })(err).stack).to.equal([
+                'Error: outer',
+                '    at handler (/app/lib/routes.js:10:5)',
+                '    … 4 frames omitted',
+                '    at /app/lib/server.js:3:1',
+                '    at Object.method (/app/node_modules/lib/index.js:1:1)',
+                '    at main (/app/lib/main.js:20:3)',
+                'caused by: TypeError: inner',
+                '    at inner (/app/lib/inner.js:1:2)',
+                '    at next (node:internal/next:1:2)'
+            ].join('\n'));
+
+            expect(Serialize.errSerializer({ maxFrames: 2 })(err).stack).to.equal([
+                'Error: outer',
+                '    at handler (/app/lib/routes.js:10:5)',
+                '    at exports.Manager.execute (/app/node_modules/@hapi/hapi/lib/toolkit.js:60:29)',
+                '    … 6 frames omitted',
+                'caused by: TypeError: inner',
+                '    at inner (/app/lib/inner.js:1:2)',
+                '    at next (node:internal/next:1:2)'
+            ].join('\n'));
+
+            expect(Serialize.errSerializer({ maxFrames: 2, collapse: true })(err).stack.split('\n').slice(0, 4)).to.equal([
+                'Error: outer',
+                '    at handler (/app/lib/routes.js:10:5)',
+                '    … 4 frames omitted',
+                '    at /app/lib/server.js:3:1'
+            ]);
+
+            expect(Serialize.errSerializer({ maxFrames: 1, collapse: true })(err).stack.split('\n').slice(0, 3)).to.equal([
+                'Error: outer',
+                '    at handler (/app/lib/routes.js:10:5)',
+                '    … 7 frames omitted'
+            ]);
+
+            const tail = new Error('tail');
+            tail.stack = 'Error: tail\n    at a (/app/lib/a.js:1:2)\n    at b (/app/lib/b.js:1:2)\n    at c (node:internal/c:1:2)\n    at d (node:internal/d:1:2)';
+            expect(Serialize.errSerializer({ maxFrames: 1, collapse: true })(tail).stack).to.equal('Error: tail\n    at a (/app/lib/a.js:1:2)\n    … 3 frames omitted');
+
+            expect(Serialize.errSerializer({ maxFrames: 0 })(err.cause).stack).to.equal('TypeError: inner\n    … 2 frames omitted');
+            expect(Serialize.errSerializer({ maxFrames: 5 })(err.cause).stack).to.equal(err.cause.stack);
+        });
+
+        it('parses stack frames', () => {
+
+            const err = new Error('outer', { cause: new Error('middle', { cause: new Error('inner') }) });
+            err.stack = 'Error: outer\n    at new Thing (/app/lib/thing.js:10:5)\n    at /app/lib/server.js:3:1\n    at a (node:internal/a:1:1)\n    at b (node:internal/b:1:1)';
+            err.cause.stack = 'Error: middle\n    at middle (/app/lib/middle.js:2:4)';
+            err.cause.cause.stack = undefined;
+            err.cause.cause.cause = err;
+
+            const res = Serialize.errSerializer({ parseStack: true, collapse: true })(err);
+            expect(res.message).to.equal('outer: middle: inner: ...');
+            expect(JSON.parse(JSON.stringify(res.stack))).to.equal([
+                { fn: 'new Thing', file: '/app/lib/thing.js', line: 10, column: 5 },
+                { file: '/app/lib/server.js', line: 3, column: 1 },
+                { omitted: 2 },
+                { cause: 'Error: middle' },
+                { fn: 'middle', file: '/app/lib/middle.js', line: 2, column: 4 },
+                { cause: 'Error: inner' },
+                { cause: '[Circular]' }
+            ]);
+
+            const structured = Serialize.errSerializer({ structured: true, maxDepth: 10, parseStack: true, maxFrames: 1 })(err);
+            expect(structured.stack).to.equal([{ fn: 'new Thing', file: '/app/lib/thing.js', line: 10, column: 5 }, { omitted: 3 }]);
+            expect(structured.causes[0].stack).to.equal([{ fn: 'middle', file: '/app/lib/middle.js', line: 2, column: 4 }]);
+            expect(structured.causes[1].stack).to.not.exist();
+
+            const actual = Serialize.errSerializer({ parseStack: true })(new Error('real'));
+            expect(actual.stack[0].file).to.equal(__filename);
+            expect(actual.stack[0].line).to.be.a.number();
+        });
+
+        it('logs trimmed stacks', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { errors: { maxFrames: 1 } });
+            server.route({ method: 'GET', path: '/', handler: () => {
+
+                throw new Error('failed');
+            } });
+
+            await server.inject('/');
+
+            const entry = log.find((line) => line.msg === 'request-error');
+            const lines = entry.err.stack.split('\n');
+            expect(lines).to.have.length(3);
+            expect(lines[2]).to.match(/^ {4}… \d+ frames omitted$/);
+        });
+
+        it('logs structured errors', async () => {
+
+            const { server, log } = await prepareServer({ level: 'info' }, {}, { errors: { structured: true } });
+            server.route({ method: 'GET', path: '/', handler: () => {
+
+                throw new AggregateError([new Error('first'), new Error('second')], 'failed');
+            } });
+
+            await server.inject('/');
+
+            const entry = log.find((line) => line.msg === 'request-error');
+            expect(entry.err.type).to.equal('Boom(AggregateError)');
+            expect(entry.err.fingerprint).to.exist();
+            expect(entry.err.errors.map((member) => member.message)).to.equal(['first', 'second']);
+        });
+
         it('handles errors with cause', () => {
 
             const err = new TypeError('fail');
@@ -901,4 +3009,228 @@ describe('Nipo', () => {
             expect(res.type).to.equal('Boom(FourOhFour)');
         });
     });
+
+    describe('safeJsonObject()', () => {
+
+        it('returns values unchanged without limits', () => {
+
+            const obj = { a: 'x'.repeat(1000), b: [1, 2, 3], c: { d: { e: {} } } };
+            expect(Utils.safeJsonObject(obj)).to.shallow.equal(obj);
+            expect(Utils.safeJsonObject(obj, { limits: {} })).to.equal(obj);
+        });
+
+        it('limits depth', () => {
+
+            const obj = { a: { b: { c: 1 }, d: [[1]] }, e: 2 };
+            expect(Utils.safeJsonObject(obj, { limits: { depth: 2 } })).to.equal({ a: { b: '[Truncated: depth]', d: '[Truncated: depth]' }, e: 2 });
+            expect(Utils.safeJsonObject(obj, { limits: { depth: 0 } })).to.equal('[Truncated: depth]');
+            expect(Utils.safeJsonObject('text', { limits: { depth: 0 } })).to.equal('text');
+        });
+
+        it('limits object keys', () => {
+
+            const obj = { a: 1, b: { c: 1, d: 2, e: 3 }, f: 3, g: 4 };
+            expect(Utils.safeJsonObject(obj, { limits: { keys: 2 } })).to.equal({ a: 1, b: { c: 1, d: 2, '…': '[Truncated: 1 keys]' }, '…': '[Truncated: 2 keys]' });
+            expect(Utils.safeJsonObject({ a: 1 }, { limits: { keys: 1 } })).to.equal({ a: 1 });
+        });
+
+        it('limits array length', () => {
+
+            const arr = [1, [2, 3, 4], 'x', 5];
+            expect(Utils.safeJsonObject(arr, { limits: { arrayLength: 2 } })).to.equal([1, [2, 3, '[Truncated: 1 items]'], '[Truncated: 2 items]']);
+        });
+
+        it('limits string length', () => {
+
+            const obj = { short: 'abc', long: 'x'.repeat(12010), big: BigInt(123456) };
+            expect(Utils.safeJsonObject(obj, { limits: { stringLength: 10 } })).to.equal({
+                short: 'abc',
+                long: 'xxxxxxxxxx[Truncated: 12000 chars]',
+                big: '123456n'
+            });
+        });
+
+        it('limits total budget', () => {
+
+            const obj = { abc: 'defghi', num: 12345, flag: true, fn: () => null, list: ['a', 'b'], last: 'x' };
+            expect(Utils.safeJsonObject(obj, { limits: { budget: 20 } })).to.equal({
+                abc: 'defghi',
+                num: 12345,
+                flag: true,
+                '…': '[Truncated: 3 keys]'
+            });
+
+            expect(Utils.safeJsonObject(['abc', 'def', 'ghi'], { limits: { budget: 5 } })).to.equal(['abc', 'de[Truncated: 1 chars]', '[Truncated: 1 items]']);
+            expect(Utils.safeJsonObject([{ toJSON: () => null }, null], { limits: { budget: 1 } })).to.equal([null, null]);
+            expect(Utils.safeJsonObject({ a: 'b' }, { limits: { budget: 0 } })).to.equal({ '…': '[Truncated: 1 keys]' });
+        });
+
+        it('serializes non-JSON values', () => {
+
+            const sym = Symbol('secret');
+            const obj = {
+                map: new Map([['a', 1], [{ b: 2 }, new Set([3])]]),
+                set: new Set(['x', BigInt(4)]),
+                date: new Date(0),
+                invalid: new Date(NaN),
+                regexp: /ab+c/gi,
+                url: new URL('https://example.com/path?q=1'),
+                named: function named() {},
+                anonymous: [() => null][0],
+                symbol: Symbol.for('nipo'),
+                [sym]: 'value',
+                nested: { [Symbol.iterator]: true }
+            };
+
+            Object.defineProperty(obj, Symbol('hidden'), { value: 'hidden', enumerable: false });
+
+            expect(Utils.safeJsonObject(obj)).to.equal({
+                map: { type: 'Map', size: 2, entries: [['a', 1], [{ b: 2 }, { type: 'Set', size: 1, values: [3] }]] },
+                set: { type: 'Set', size: 2, values: ['x', '4n'] },
+                date: '1970-01-01T00:00:00.000Z',
+                invalid: '[Invalid Date]',
+                regexp: '/ab+c/gi',
+                url: 'https://example.com/path?q=1',
+                named: '[Function: named]',
+                anonymous: '[Function: (anonymous)]',
+                symbol: 'Symbol(nipo)',
+                'Symbol(secret)': 'value',
+                nested: { 'Symbol(Symbol.iterator)': true }
+            });
+
+            const circular = new Map();
+            circular.set('self', circular);
+            expect(Utils.safeJsonObject(circular)).to.equal({ type: 'Map', size: 1, entries: [['self', '[Circular]']] });
+        });
+
+        it('serializes binary values', () => {
+
+            expect(Utils.safeJsonObject(Buffer.from('hello'))).to.equal({ type: 'Buffer', length: 5, hex: '68656c6c6f' });
+            expect(Utils.safeJsonObject(Buffer.alloc(40, 1))).to.equal({ type: 'Buffer', length: 40, hex: '01'.repeat(32) + '…' });
+            expect(Utils.safeJsonObject(new Uint16Array([1, 2]))).to.equal({ type: 'Uint16Array', length: 2, hex: '01000200' });
+            expect(Utils.safeJsonObject(new Uint8Array([0, 1, 2, 3]).subarray(2))).to.equal({ type: 'Uint8Array', length: 2, hex: '0203' });
+            expect(Utils.safeJsonObject(new DataView(new ArrayBuffer(3)))).to.equal({ type: 'DataView', length: 3, hex: '000000' });
+            expect(Utils.safeJsonObject(new ArrayBuffer(2))).to.equal({ type: 'ArrayBuffer', length: 2, hex: '0000' });
+        });
+
+        it('supports custom type handlers', () => {
+
+            class Money {
+
+                constructor(amount, currency) {
+
+                    this.amount = amount;
+                    this.currency = currency;
+                }
+            }
+
+            class Wrapper {
+
+                constructor(value) {
+
+                    this.value = value;
+                }
+            }
+
+            const types = [
+                { type: Money, serialize: (money) => `${money.amount} ${money.currency}` },
+                { type: Wrapper, serialize: (wrapper) => ({ wrapped: wrapper.value, self: wrapper }) },
+                { type: Map, serialize: (map) => Object.fromEntries(map) }
+            ];
+
+            expect(Utils.safeJsonObject({
+                price: new Money(10, 'EUR'),
+                wrapper: new Wrapper(new Money(1, 'USD')),
+                map: new Map([['a', new Set([1])]])
+            }, { types })).to.equal({
+                price: '10 EUR',
+                wrapper: { wrapped: '1 USD', self: '[Circular]' },
+                map: { a: { type: 'Set', size: 1, values: [1] } }
+            });
+        });
+
+        it('logs custom types', async () => {
+
+            const { server, log } = await prepareServer({}, {}, {
+                types: [{ type: URLSearchParams, serialize: (params) => Object.fromEntries(params) }]
+            });
+
+            server.log(['app'], { query: new URLSearchParams('a=1&b=2'), ids: new Set([1, 2]) });
+
+            expect(log[0].data).to.equal({ query: { a: '1', b: '2' }, ids: { type: 'Set', size: 2, values: [1, 2] } });
+        });
+
+        it('rejects custom types without a prototype', async () => {
+
+            const server1 = Hapi.server({ debug: false });
+            await expect(server1.register({ plugin: Nipo, options: { types: [{ type: () => null, serialize: () => null }] } })).to.reject(/"types\[0\].type" contains an invalid value/);
+
+            const nullProto = function () {};
+            nullProto.prototype = null;
+            const server2 = Hapi.server({ debug: false });
+            await expect(server2.register({ plugin: Nipo, options: { types: [{ type: nullProto, serialize: () => null }] } })).to.reject(/"types\[0\].type" contains an invalid value/);
+        });
+
+        it('shares the budget across values of an entry', () => {
+
+            const json = Utils.entry({ limits: { budget: 10 } });
+            expect(Utils.safeJsonObject('abcdef', json)).to.equal('abcdef');
+            expect(Utils.safeJsonObject('ghijkl', json)).to.equal('ghij[Truncated: 2 chars]');
+            expect(Utils.safeJsonObject({ a: 1 }, json)).to.equal({ '…': '[Truncated: 1 keys]' });
+
+            expect(Utils.safeJsonObject('abcdef', Utils.entry({ limits: { budget: 10 } }))).to.equal('abcdef');
+            expect(Utils.safeJsonObject('abcdef', Utils.entry({}))).to.equal('abcdef');
+
+            const serializer = Serialize.errSerializer({ json: { limits: { budget: 10 } } });
+            const err = Boom.badRequest('bad', 'abcdefghij');
+            expect(serializer(err).data).to.equal('abcdefg[Truncated: 3 chars]');
+            expect(serializer(err).data).to.equal('abcdefg[Truncated: 3 chars]');
+
+            const structured = Serialize.errSerializer({ structured: true, maxDepth: 5, json: { limits: { budget: 10 } } });
+            expect(structured(err).data).to.equal('abcdefg[Truncated: 3 chars]');
+        });
+
+        it('limits response entries with a shared budget', async () => {
+
+            const { server, log } = await prepareServer({}, {}, { limits: { budget: 10 } });
+            server.route({ method: 'GET', path: '/', handler: () => 'ok', config: {
+                plugins: { nipo: { req: { first: 'app.first' }, res: { second: 'app.second' } } }
+            } });
+            server.ext('onRequest', (request, h) => {
+
+                request.app.first = 'abcdefgh';
+                request.app.second = 'ijklmnop';
+                return h.continue;
+            });
+
+            await server.inject('/');
+
+            const entry = log.find((line) => line.msg === 'request-response');
+            expect(entry.req.first).to.equal('abcdefgh');
+            expect(entry.res.second).to.equal('ij[Truncated: 6 chars]');
+        });
+
+        it('limits logged data', async () => {
+
+            const { server, log } = await prepareServer({}, {}, {
+                limits: { stringLength: 5, arrayLength: 1 },
+                types: [{ type: URLSearchParams, serialize: (params) => Object.fromEntries(params) }]
+            });
+            server.route({ method: 'GET', path: '/', handler: (request) => {
+
+                request.log(['app'], { text: 'hello world', list: [1, 2] });
+                throw Boom.badRequest('bad', { reason: 'a much too long reason', query: new URLSearchParams('a=1') });
+            } });
+
+            server.log(['app'], 'hello world');
+            await server.inject('/');
+
+            expect(log[0].data).to.equal('hello[Truncated: 6 chars]');
+            const appEntry = log.find((line) => line.msg === 'request-app');
+            expect(appEntry.data).to.equal({ text: 'hello[Truncated: 6 chars]', list: [1, '[Truncated: 1 items]'] });
+
+            const responseEntry = log.find((line) => line.msg === 'request-response');
+            expect(responseEntry.res.data).to.equal({ reason: 'a muc[Truncated: 17 chars]', query: { a: '1' } });
+        });
+    });
 });